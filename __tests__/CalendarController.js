@@ -109,9 +109,42 @@ describe('CalendarController', () => {
       expect(week.days).toBeDefined();
       expect(week.days.length).toBe(5);
     });
+
+    it('should number weeks by ISO or locale week of year', () => {
+      expect(controller.getWeek(dayjs('2024-12-29')).weekNumber).toBe(1);
+      expect(controller.getWeek(dayjs('2025-01-05')).weekNumber).toBe(2);
+
+      const iso = new CalendarController({ useIsoWeekday: true });
+      expect(iso.getWeek(dayjs('2024-12-30')).weekNumber).toBe(1);
+      expect(iso.getWeek(dayjs('2021-01-04')).weekNumber).toBe(1);
+      // Jan 1 2021 is a Friday, still in ISO week 53 of 2020
+      expect(iso.getWeek(dayjs('2020-12-28')).weekNumber).toBe(53);
+    });
+
+    it('should number weeks from a Monday firstDayOfWeek', () => {
+      const monday = new CalendarController({ firstDayOfWeek: 1 });
+      // Jan 1 2023 is a Sunday, the last day of the Monday week starting Dec 26
+      expect(monday.getWeek(dayjs('2022-12-26')).weekNumber).toBe(1);
+      expect(monday.getWeek(dayjs('2023-01-02')).weekNumber).toBe(2);
+      expect(monday.getWeek(dayjs('2023-12-25')).weekNumber).toBe(53);
+    });
     
   });
   
+  describe('getWeekStart', () => {
+    it('should honour firstDayOfWeek over useIsoWeekday', () => {
+      const date = new Date(2025, 0, 8); // Wednesday
+      expect(controller.getWeekStart(date).format('YYYY-MM-DD')).toBe('2025-01-05');
+      expect(new CalendarController({ useIsoWeekday: true })
+        .getWeekStart(date).format('YYYY-MM-DD')).toBe('2025-01-06');
+
+      const saturday = new CalendarController({ firstDayOfWeek: 6, useIsoWeekday: true });
+      expect(saturday.getWeekStart(date).format('YYYY-MM-DD')).toBe('2025-01-04');
+      expect(saturday.getWeekStart(new Date(2025, 0, 4)).format('YYYY-MM-DD')).toBe('2025-01-04');
+      expect(saturday.getMonthWeeks(date)[0].id).toBe('2024-12-28');
+    });
+  });
+
   describe('findWeekIndexByDate', () => {
     it('should handle date not in prepared weeks', () => {
       // 매우 먼 미래의 날짜를 검색 - 준비된 주에 포함되지 않을 것임
@@ -141,6 +174,94 @@ describe('CalendarController', () => {
     });
   });
 
+  describe('isDateDisabled', () => {
+    it('should combine bounds with blacklist and whitelist rules', () => {
+      const custom = new CalendarController({
+        initialDate: new Date(2025, 0, 8),
+        minDate: new Date(2025, 0, 2),
+        datesBlacklist: [new Date(2025, 0, 7)],
+        datesWhitelist: [{ start: new Date(2025, 0, 1), end: new Date(2025, 0, 10) }],
+      });
+
+      expect(custom.isDateDisabled(new Date(2025, 0, 1))).toBe(true); // before minDate
+      expect(custom.isDateDisabled(new Date(2025, 0, 7))).toBe(true); // blacklisted
+      expect(custom.isDateDisabled(new Date(2025, 0, 11))).toBe(true); // not whitelisted
+      expect(custom.isDateDisabled(new Date(2025, 0, 8))).toBe(false);
+      expect(custom.selectDate(new Date(2025, 0, 7))).toBe(false);
+    });
+  });
+
+  describe('boundsPolicy', () => {
+    it('should stop week generation at minDate only when blocking', () => {
+      const options = {
+        initialDate: new Date(2025, 0, 15),
+        minDate: new Date(2025, 0, 6),
+      };
+      const blocking = new CalendarController(options);
+      expect(blocking.getWeeksBefore(new Date(2025, 0, 12), 3).map(week => week.id))
+        .toEqual(['2025-01-05']);
+
+      const disabling = new CalendarController({ ...options, boundsPolicy: 'disable' });
+      expect(disabling.getWeeksBefore(new Date(2025, 0, 12), 3).map(week => week.id))
+        .toEqual(['2024-12-22', '2024-12-29', '2025-01-05']);
+      expect(disabling.isDateDisabled(new Date(2024, 11, 30))).toBe(true);
+    });
+  });
+
+  describe('getWeekWindow', () => {
+    it('should centre the window on the clamped date and stop at the bounds', () => {
+      const bounded = new CalendarController({
+        minDate: new Date(2025, 0, 6),
+        weekBuffer: 5,
+      });
+      const { weeks, centerIndex } = bounded.getWeekWindow(new Date(2024, 5, 1));
+      expect(weeks.map(week => week.id)).toEqual(['2025-01-05', '2025-01-12', '2025-01-19']);
+      expect(centerIndex).toBe(0);
+      // The prepared weeks are left alone
+      expect(bounded.getWeeks()).not.toBe(weeks);
+    });
+  });
+
+  describe('getMonthWeeks', () => {
+    it('should cover the month with whole weeks', () => {
+      const weeks = controller.getMonthWeeks(new Date(2025, 0, 20));
+      expect(weeks).toHaveLength(5);
+      expect(weeks[0].id).toBe('2024-12-29');
+      expect(weeks[4].endDate.format('YYYY-MM-DD')).toBe('2025-02-01');
+
+      // March 2025 starts on a Saturday and needs six rows
+      expect(controller.getMonthWeeks(new Date(2025, 2, 1))).toHaveLength(6);
+    });
+  });
+
+  describe('timeZone', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should mark today in the configured time zone', () => {
+      jest.useFakeTimers('modern');
+      // 20:00 UTC on Jan 8 is already Jan 9 in Seoul
+      jest.setSystemTime(new Date('2025-01-08T20:00:00Z'));
+      const seoul = new CalendarController({ timeZone: 'Asia/Seoul' });
+      const today = seoul.getCurrentWeek().days.find(day => day.isToday);
+      expect(today.dateString).toBe('2025-01-09');
+      expect(seoul.getSelectedDate().format('YYYY-MM-DD')).toBe('2025-01-09');
+    });
+
+    it('should compare minDate/maxDate as days in the time zone', () => {
+      const seoul = new CalendarController({
+        timeZone: 'Asia/Seoul',
+        minDate: new Date('2025-01-08T20:00:00Z'),
+        maxDate: '2025-01-20',
+      });
+      expect(seoul.isDateInBounds(new Date(2025, 0, 8))).toBe(false);
+      expect(seoul.isDateInBounds(new Date(2025, 0, 9))).toBe(true);
+      expect(seoul.isDateInBounds(new Date(2025, 0, 20))).toBe(true);
+      expect(seoul.isDateInBounds(new Date(2025, 0, 21))).toBe(false);
+    });
+  });
+
   describe('jumpToDate', () => {
     it('should prepare weeks using weekBuffer', () => {
       const custom = new CalendarController({ weekBuffer: 5 });
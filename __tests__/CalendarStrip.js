@@ -1,7 +1,10 @@
 import React from 'react';
-import { render } from '@testing-library/react-native';
-import { FlatList, View } from 'react-native';
+import { render, fireEvent, act } from '@testing-library/react-native';
+import { AppState, Dimensions, FlatList, LayoutAnimation, StyleSheet, Text, View } from 'react-native';
+import CalendarHeader from '../src/CalendarHeader';
 import CalendarStrip from '../src/components/CalendarStrip';
+import { registerLocale } from '../src/dayjs';
+import * as markedDatesUtils from '../src/utils/markedDates';
 
 describe('CalendarStrip functional API', () => {
   test('renders buffered weeks of seven days by default', () => {
@@ -14,10 +17,13 @@ describe('CalendarStrip functional API', () => {
   });
 
   test('respects numDaysInWeek prop', () => {
+    const ref = React.createRef();
     const { getAllByA11yRole } = render(
-      <CalendarStrip showMonth={false} numDaysInWeek={14} />
+      <CalendarStrip showMonth={false} numDaysInWeek={14} ref={ref} />
     );
-    expect(getAllByA11yRole('button')).toHaveLength(42);
+    // Seven buffered weeks of 14 days each
+    expect(getAllByA11yRole('button')).toHaveLength(7 * 14);
+    expect(ref.current.getWeeks().map(week => week.days.length)).toEqual(Array(7).fill(14));
   });
 
   test('renders a single week when not scrollable', () => {
@@ -128,4 +134,1142 @@ describe('CalendarStrip functional API', () => {
       expect.arrayContaining([expect.objectContaining({ backgroundColor: 'red' })])
     );
   });
+
+  test('range mode reports start and end after two taps', () => {
+    const onRangeSelected = jest.fn();
+    const { getAllByA11yRole } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectionMode="range"
+        selectedDate={new Date(2025, 0, 8)}
+        onRangeSelected={onRangeSelected}
+      />
+    );
+
+    fireEvent.press(getAllByA11yRole('button')[1]);
+    expect(onRangeSelected).not.toHaveBeenCalled();
+    fireEvent.press(getAllByA11yRole('button')[4]);
+
+    expect(onRangeSelected).toHaveBeenCalledTimes(1);
+    const [start, end] = onRangeSelected.mock.calls[0];
+    expect(start.format('YYYY-MM-DD')).toBe('2025-01-06');
+    expect(end.format('YYYY-MM-DD')).toBe('2025-01-09');
+  });
+
+  test('multiple mode toggles days up to maxSelections', () => {
+    const onSelectedDatesChange = jest.fn();
+    const { getAllByA11yRole } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectionMode="multiple"
+        maxSelections={2}
+        selectedDate={new Date(2025, 0, 8)}
+        onSelectedDatesChange={onSelectedDatesChange}
+      />
+    );
+
+    fireEvent.press(getAllByA11yRole('button')[1]);
+    fireEvent.press(getAllByA11yRole('button')[3]);
+    fireEvent.press(getAllByA11yRole('button')[5]); // over the limit, ignored
+    fireEvent.press(getAllByA11yRole('button')[1]); // toggles off
+
+    expect(onSelectedDatesChange).toHaveBeenCalledTimes(3);
+    const last = onSelectedDatesChange.mock.calls[2][0];
+    expect(last.map(d => d.format('YYYY-MM-DD'))).toEqual(['2025-01-08']);
+  });
+
+  test('blacklisted days are disabled and ignore taps', () => {
+    const onDateSelected = jest.fn();
+    const { getAllByA11yRole } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        datesBlacklist={date => date.day() === 0}
+        datesWhitelist={[{ start: new Date(2025, 0, 5), end: new Date(2025, 0, 9) }]}
+        onDateSelected={onDateSelected}
+      />
+    );
+
+    const days = getAllByA11yRole('button');
+    expect(days[0].props.accessibilityState).toEqual({ disabled: true });
+    expect(days[6].props.accessibilityState).toEqual({ disabled: true });
+
+    fireEvent.press(days[0]);
+    fireEvent.press(days[6]);
+    expect(onDateSelected).not.toHaveBeenCalled();
+
+    fireEvent.press(days[2]);
+    expect(onDateSelected).toHaveBeenCalledTimes(1);
+  });
+
+  test('customDatesStyles styles matching days under the highlight', () => {
+    const { getAllByA11yRole, getByText } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        highlightDateNumberStyle={{ color: 'white' }}
+        customDatesStyles={[
+          {
+            startDate: new Date(2025, 0, 7),
+            endDate: new Date(2025, 0, 8),
+            dateContainerStyle: { backgroundColor: 'pink' },
+            dateNumberStyle: { color: 'red' }
+          }
+        ]}
+      />
+    );
+
+    const days = getAllByA11yRole('button');
+    expect(StyleSheet.flatten(days[2].props.style).backgroundColor).toBe('pink');
+    expect(StyleSheet.flatten(days[4].props.style).backgroundColor).not.toBe('pink');
+    expect(StyleSheet.flatten(getByText('7').props.style).color).toBe('red');
+    // The selected day keeps its highlight on top of the custom style
+    expect(StyleSheet.flatten(getByText('8').props.style).color).toBe('white');
+  });
+
+  test('draws every dot up to maxDots with a +N overflow and lines', () => {
+    const { getByText, UNSAFE_getAllByType } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        maxDots={2}
+        markedDates={[
+          {
+            date: new Date(2025, 0, 8),
+            dots: [
+              { color: 'red', selectedColor: 'white' },
+              { color: 'green' },
+              { color: 'blue' },
+              { color: 'black' }
+            ],
+            lines: [{ color: 'orange' }]
+          }
+        ]}
+      />
+    );
+
+    expect(getByText('+2')).toBeTruthy();
+    const colors = UNSAFE_getAllByType(View)
+      .map(v => StyleSheet.flatten(v.props.style))
+      .filter(style => style && style.height <= 6 && style.backgroundColor)
+      .map(style => style.backgroundColor);
+    // The selected day swaps in selectedColor where one is given
+    expect(colors).toEqual(['white', 'green', 'orange']);
+  });
+
+  test('accepts markedDates as an object map keyed by date string', () => {
+    const markerComponent = jest.fn(() => null);
+    render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        markerComponent={markerComponent}
+        markedDates={{
+          '2025-01-06': { dots: [{ color: 'red' }] },
+          '2025-01-09': true,
+          '2025-02-01': { dots: [{ color: 'blue' }] }
+        }}
+      />
+    );
+
+    const marked = markerComponent.mock.calls.map(([marking]) => marking);
+    expect(marked).toEqual([
+      { date: '2025-01-06', dots: [{ color: 'red' }] },
+      '2025-01-09'
+    ]);
+  });
+
+  test('loads function-form markedDates once per week', async () => {
+    const markerComponent = jest.fn(() => null);
+    let resolveWeek;
+    const loader = jest.fn((weekStart, weekEnd) => {
+      expect(weekEnd.diff(weekStart, 'day')).toBe(6);
+      return new Promise(resolve => {
+        resolveWeek = () => resolve({
+          [weekStart.add(1, 'day').format('YYYY-MM-DD')]: { dots: [{ color: 'red' }] }
+        });
+      });
+    });
+
+    const { rerender } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        markerComponent={markerComponent}
+        markedDates={loader}
+      />
+    );
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(loader.mock.calls[0][0].format('YYYY-MM-DD')).toBe('2025-01-05');
+    expect(markerComponent).not.toHaveBeenCalled();
+
+    await act(async () => {
+      resolveWeek();
+    });
+    expect(markerComponent).toHaveBeenCalledWith(
+      { date: '2025-01-06', dots: [{ color: 'red' }] }
+    );
+
+    rerender(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        markerComponent={markerComponent}
+        markedDates={loader}
+        maxDots={1}
+      />
+    );
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  test('indexes array markedDates only when they change', () => {
+    const buildIndex = jest.spyOn(markedDatesUtils, 'buildMarkedDatesIndex');
+    const ref = React.createRef();
+    const markedDates = [new Date(2025, 0, 8)];
+    render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        markedDates={markedDates}
+        ref={ref}
+      />
+    );
+    expect(buildIndex).toHaveBeenCalledTimes(1);
+
+    act(() => {
+      ref.current.updateWeekView(new Date(2025, 1, 5));
+    });
+    expect(buildIndex).toHaveBeenCalledTimes(1);
+    buildIndex.mockRestore();
+  });
+
+  test('drops loader results for weeks that leave the window', () => {
+    const ref = React.createRef();
+    const loader = jest.fn(() => ({}));
+    render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        markedDates={loader}
+        ref={ref}
+      />
+    );
+    const loadedWeeks = () => loader.mock.calls.map(([weekStart]) => weekStart.format('YYYY-MM-DD'));
+
+    act(() => {
+      ref.current.updateWeekView(new Date(2025, 1, 5));
+    });
+    act(() => {
+      ref.current.updateWeekView(new Date(2025, 0, 8));
+    });
+    expect(loadedWeeks()).toEqual(['2025-01-05', '2025-02-02', '2025-01-05']);
+  });
+
+  test('reports week scroll start and settled end with both ranges', () => {
+    const onWeekScrollStart = jest.fn();
+    const onWeekScrollEnd = jest.fn();
+    const { UNSAFE_getByType } = render(
+      <CalendarStrip
+        showMonth={false}
+        selectedDate={new Date(2025, 0, 8)}
+        onWeekScrollStart={onWeekScrollStart}
+        onWeekScrollEnd={onWeekScrollEnd}
+      />
+    );
+    const flatList = UNSAFE_getByType(FlatList);
+    const w = Dimensions.get('window').width;
+    const format = d => d.format('YYYY-MM-DD');
+
+    flatList.props.onScroll({ nativeEvent: { contentOffset: { x: 3 * w, y: 0 } } });
+    flatList.props.onScrollBeginDrag();
+    expect(onWeekScrollStart.mock.calls[0].slice(0, 2).map(format)).toEqual(['2025-01-05', '2025-01-11']);
+    expect(onWeekScrollStart.mock.calls[0][2]).toEqual({ startDate: '2025-01-05', endDate: '2025-01-11' });
+
+    // Released mid-page: momentum follows, so nothing settles yet
+    flatList.props.onScrollEndDrag({ nativeEvent: { contentOffset: { x: 3.6 * w, y: 0 } } });
+    expect(onWeekScrollEnd).not.toHaveBeenCalled();
+
+    flatList.props.onMomentumScrollEnd({ nativeEvent: { contentOffset: { x: 4 * w, y: 0 } } });
+    expect(onWeekScrollEnd).toHaveBeenCalledTimes(1);
+    expect(onWeekScrollEnd.mock.calls[0].slice(0, 4).map(format)).toEqual([
+      '2025-01-12', '2025-01-18', '2025-01-05', '2025-01-11'
+    ]);
+    expect(onWeekScrollEnd.mock.calls[0][4]).toEqual({
+      startDate: '2025-01-12',
+      endDate: '2025-01-18',
+      prevStartDate: '2025-01-05',
+      prevEndDate: '2025-01-11',
+    });
+  });
+
+  test('scrollMode="day" lists single days and shifts the window at the edge', () => {
+    const onWeekScrollEnd = jest.fn();
+    const { UNSAFE_getByType } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollMode="day"
+        weekBuffer={1}
+        selectedDate={new Date(2025, 0, 8)}
+        onWeekScrollEnd={onWeekScrollEnd}
+      />
+    );
+    let flatList = UNSAFE_getByType(FlatList);
+    const dayWidth = Dimensions.get('window').width / 7;
+
+    expect(flatList.props.data).toHaveLength(21);
+    expect(flatList.props.data[0].dateString).toBe('2024-12-29');
+    expect(flatList.props.initialScrollIndex).toBe(7);
+    expect(flatList.props.pagingEnabled).toBe(false);
+    expect(flatList.props.snapToInterval).toBeCloseTo(dayWidth);
+
+    // Settle two days into the centre week
+    flatList.props.onScroll({ nativeEvent: { contentOffset: { x: 7 * dayWidth, y: 0 } } });
+    flatList.props.onScrollBeginDrag();
+    flatList.props.onMomentumScrollEnd({ nativeEvent: { contentOffset: { x: 9 * dayWidth, y: 0 } } });
+    expect(onWeekScrollEnd.mock.calls[0].slice(0, 2).map(d => d.format('YYYY-MM-DD')))
+      .toEqual(['2025-01-07', '2025-01-13']);
+
+    // Reaching the start of the window prepends another week
+    act(() => {
+      flatList.props.onMomentumScrollEnd({ nativeEvent: { contentOffset: { x: 0, y: 0 } } });
+    });
+    flatList = UNSAFE_getByType(FlatList);
+    expect(flatList.props.data[0].dateString).toBe('2024-12-22');
+  });
+
+  test('expandable strip toggles a month grid from the header', () => {
+    jest.spyOn(LayoutAnimation, 'configureNext').mockImplementation(() => {});
+    const onModeChange = jest.fn();
+    const onDateSelected = jest.fn();
+    const Controlled = () => {
+      const [selected, setSelected] = React.useState(new Date(2025, 0, 8));
+      return (
+        <CalendarStrip
+          scrollable={false}
+          expandable
+          selectedDate={selected}
+          onModeChange={onModeChange}
+          onDateSelected={date => {
+            onDateSelected(date);
+            setSelected(date.toDate());
+          }}
+        />
+      );
+    };
+    const { UNSAFE_getByType, getAllByA11yRole, getAllByText } = render(<Controlled />);
+    // 7 strip days and the handle
+    expect(getAllByA11yRole('button')).toHaveLength(8);
+
+    act(() => {
+      UNSAFE_getByType(CalendarHeader).props.onHeaderSelected({});
+    });
+    expect(onModeChange).toHaveBeenLastCalledWith('month');
+    // January 2025 spans five rows: Dec 29 - Feb 1
+    expect(getAllByA11yRole('button')).toHaveLength(8 + 35);
+
+    // Pick a day from the grid, then collapse onto its week
+    const day20 = getAllByText('20');
+    fireEvent.press(day20[day20.length - 1]);
+    expect(onDateSelected.mock.calls[0][0].format('YYYY-MM-DD')).toBe('2025-01-20');
+
+    act(() => {
+      UNSAFE_getByType(CalendarHeader).props.onHeaderSelected({});
+    });
+    expect(onModeChange).toHaveBeenLastCalledWith('week');
+    expect(getAllByA11yRole('button')).toHaveLength(8);
+    expect(getAllByText('25')).toHaveLength(1);
+    expect(LayoutAnimation.configureNext).toHaveBeenCalledTimes(2);
+    LayoutAnimation.configureNext.mockRestore();
+  });
+
+  test('horizontal={false} stacks weeks and shifts by row height', () => {
+    const { UNSAFE_getByType } = render(
+      <CalendarStrip
+        showMonth={false}
+        horizontal={false}
+        weekHeight={50}
+        weekBuffer={2}
+        selectedDate={new Date(2025, 0, 8)}
+      />
+    );
+    let flatList = UNSAFE_getByType(FlatList);
+    expect(flatList.props.horizontal).toBe(false);
+    expect(flatList.props.getItemLayout(null, 2)).toEqual({ length: 50, offset: 100, index: 2 });
+    expect(flatList.props.data[0].id).toBe('2024-12-22');
+
+    // Two rows visible: the last reachable row offset is 5 * 50 - 100
+    flatList.props.onLayout({ nativeEvent: { layout: { height: 100 } } });
+    act(() => {
+      flatList.props.onMomentumScrollEnd({ nativeEvent: { contentOffset: { x: 0, y: 150 } } });
+    });
+    flatList = UNSAFE_getByType(FlatList);
+    expect(flatList.props.data.map(week => week.id)).toEqual([
+      '2025-01-05', '2025-01-12', '2025-01-19', '2025-01-26', '2025-02-02'
+    ]);
+  });
+
+  test('vertical shift compensation is clamped to the last reachable row', async () => {
+    const scrollToOffset = jest.spyOn(FlatList.prototype, 'scrollToOffset');
+    try {
+      const { UNSAFE_getByType } = render(
+        <CalendarStrip
+          showMonth={false}
+          horizontal={false}
+          weekHeight={50}
+          weekBuffer={2}
+          selectedDate={new Date(2025, 0, 8)}
+        />
+      );
+      // Four of the five rows visible: the last reachable offset is 5 * 50 - 200
+      const flatList = UNSAFE_getByType(FlatList);
+      act(() => {
+        flatList.props.onLayout({ nativeEvent: { layout: { height: 200 } } });
+      });
+      act(() => {
+        flatList.props.onMomentumScrollEnd({ nativeEvent: { contentOffset: { x: 0, y: 0 } } });
+      });
+      // Compensation runs on the next frame
+      await act(() => new Promise(resolve => setTimeout(resolve, 20)));
+      expect(scrollToOffset).toHaveBeenLastCalledWith({ offset: 50, animated: false });
+    } finally {
+      scrollToOffset.mockRestore();
+    }
+  });
+
+  test('firstDayOfWeek starts weeks on the given day', () => {
+    const { getAllByA11yRole } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        firstDayOfWeek={6}
+        selectedDate={new Date(2025, 0, 8)}
+      />
+    );
+    const labels = getAllByA11yRole('button').map(day => day.props.accessibilityLabel);
+    expect(labels[0]).toBe('Saturday, January 4, 2025');
+    expect(labels[6]).toBe('Friday, January 10, 2025');
+  });
+
+  test('locale switches day names and labels at runtime', () => {
+    const props = {
+      showMonth: false,
+      scrollable: false,
+      selectedDate: new Date(2025, 0, 8),
+    };
+    const { getAllByA11yRole, queryByText, rerender } = render(
+      <CalendarStrip {...props} locale="ko" />
+    );
+    expect(queryByText('수')).toBeTruthy();
+    expect(getAllByA11yRole('button')[3].props.accessibilityLabel).toBe('수요일, 2025년 1월 8일');
+
+    rerender(<CalendarStrip {...props} locale="fr" />);
+    expect(queryByText('mer.')).toBeTruthy();
+    expect(queryByText('수')).toBeNull();
+    expect(getAllByA11yRole('button')[3].props.accessibilityLabel).toBe('mercredi, 8 janvier 2025');
+  });
+
+  test('registerLocale makes custom locale objects available', () => {
+    const weekdays = ['Dim', 'Lun', 'Mar', 'Mer', 'Ĵaŭ', 'Ven', 'Sab'];
+    expect(registerLocale('x-test', {
+      weekdays,
+      weekdaysShort: weekdays,
+      months: 'a_b_c_d_e_f_g_h_i_j_k_l'.split('_'),
+    })).toBe('x-test');
+
+    const { queryByText } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        locale="x-test"
+      />
+    );
+    expect(queryByText('Ĵaŭ')).toBeTruthy();
+  });
+
+  test('timeZone picks days in the zone and emits zoned callback dates', () => {
+    const onDateSelected = jest.fn();
+    const { getByLabelText } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        timeZone="Asia/Seoul"
+        // Saturday 20:00 UTC is already Sunday in Seoul, so the next week shows
+        selectedDate={new Date('2025-01-11T20:00:00Z')}
+        onDateSelected={onDateSelected}
+      />
+    );
+    fireEvent.press(getByLabelText('Sunday, January 12, 2025'));
+    const [date, dateString] = onDateSelected.mock.calls[0];
+    expect(dateString).toBe('2025-01-12');
+    expect(date.toISOString()).toBe('2025-01-11T15:00:00.000Z');
+  });
+
+  test('rolls today over at midnight and on app resume', () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2025-01-08T23:59:30Z'));
+    const addListener = jest.spyOn(AppState, 'addEventListener');
+    const onTodayChanged = jest.fn();
+    try {
+      render(
+        <CalendarStrip
+          showMonth={false}
+          scrollable={false}
+          timeZone="UTC"
+          selectedDate={new Date('2025-01-08T12:00:00Z')}
+          onTodayChanged={onTodayChanged}
+        />
+      );
+      expect(onTodayChanged).not.toHaveBeenCalled();
+
+      act(() => {
+        jest.advanceTimersByTime(60 * 1000);
+      });
+      expect(onTodayChanged).toHaveBeenCalledTimes(1);
+      expect(onTodayChanged.mock.calls[0][1]).toBe('2025-01-09');
+
+      // Coming back from the background two days later
+      jest.setSystemTime(new Date('2025-01-11T08:00:00Z'));
+      const handleAppStateChange = addListener.mock.calls[addListener.mock.calls.length - 1][1];
+      act(() => {
+        handleAppStateChange('active');
+      });
+      expect(onTodayChanged).toHaveBeenCalledTimes(2);
+      expect(onTodayChanged.mock.calls[1][1]).toBe('2025-01-11');
+    } finally {
+      addListener.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+
+  test('counts down to midnight in timers of a minute at most', () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2025-01-08T10:00:00Z'));
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    const onTodayChanged = jest.fn();
+    try {
+      render(
+        <CalendarStrip
+          showMonth={false}
+          scrollable={false}
+          timeZone="UTC"
+          selectedDate={new Date('2025-01-08T12:00:00Z')}
+          onTodayChanged={onTodayChanged}
+        />
+      );
+
+      act(() => {
+        jest.advanceTimersByTime(13 * 60 * 60 * 1000);
+      });
+      expect(onTodayChanged).not.toHaveBeenCalled();
+
+      act(() => {
+        jest.advanceTimersByTime(60 * 60 * 1000);
+      });
+      expect(onTodayChanged).toHaveBeenCalledTimes(1);
+      expect(onTodayChanged.mock.calls[0][1]).toBe('2025-01-09');
+      const delays = setTimeoutSpy.mock.calls.map(([, delay]) => delay || 0);
+      expect(Math.max(...delays)).toBeLessThanOrEqual(60 * 1000);
+    } finally {
+      setTimeoutSpy.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+
+  test('showWeekNumbers adds a week number column', () => {
+    const { getByLabelText, queryByLabelText, rerender } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        useIsoWeekday
+        selectedDate={new Date(2025, 0, 8)}
+      />
+    );
+    expect(queryByLabelText('Week 2')).toBeNull();
+
+    rerender(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        useIsoWeekday
+        showWeekNumbers
+        selectedDate={new Date(2025, 0, 8)}
+      />
+    );
+    expect(getByLabelText('Week 2')).toBeTruthy();
+  });
+
+  test('header shows the visible week range', () => {
+    const headerFor = date => {
+      const { getByText } = render(
+        <CalendarStrip scrollable={false} selectedDate={date} />
+      );
+      return getByText;
+    };
+    expect(headerFor(new Date(2025, 0, 8))('January 2025')).toBeTruthy();
+    expect(headerFor(new Date(2025, 0, 29))('January / February 2025')).toBeTruthy();
+    expect(headerFor(new Date(2024, 11, 31))('December 2024 / January 2025')).toBeTruthy();
+  });
+
+  test('renderHeader replaces the header and can sit below the strip', () => {
+    const renderHeader = jest.fn(({ weekStart, weekEnd }) => (
+      <Text testID="custom_header">
+        {`${weekStart.format('MMM D')} - ${weekEnd.format('MMM D')}`}
+      </Text>
+    ));
+    const { getByTestId, toJSON } = render(
+      <CalendarStrip
+        scrollable={false}
+        calendarHeaderPosition="bottom"
+        selectedDate={new Date(2025, 0, 8)}
+        renderHeader={renderHeader}
+      />
+    );
+    expect(getByTestId('custom_header').props.children).toBe('Jan 5 - Jan 11');
+    expect(renderHeader).toHaveBeenLastCalledWith(
+      expect.objectContaining({ activeDate: expect.anything() })
+    );
+
+    const tree = JSON.stringify(toJSON());
+    expect(tree.indexOf('custom_header')).toBeGreaterThan(tree.indexOf('Saturday, January 11, 2025'));
+  });
+
+  test('week arrows page the strip and disable at the bounds', () => {
+    const { getByLabelText, queryByLabelText } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        maxDate={new Date(2025, 0, 10)}
+        showWeekSelectors
+      />
+    );
+    expect(getByLabelText('Next week').props.accessibilityState).toEqual({ disabled: true });
+
+    fireEvent.press(getByLabelText('Previous week'));
+    expect(getByLabelText('Sunday, December 29, 2024')).toBeTruthy();
+    expect(queryByLabelText('Wednesday, January 8, 2025')).toBeNull();
+    expect(getByLabelText('Next week').props.accessibilityState).toEqual({ disabled: false });
+  });
+
+  test('leftSelector and rightSelector override the arrows', () => {
+    const rightSelector = jest.fn(() => <Text>next</Text>);
+    const { queryByLabelText, getByText } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        minDate={new Date(2025, 0, 5)}
+        leftSelector={[]}
+        rightSelector={rightSelector}
+      />
+    );
+    expect(queryByLabelText('Previous week')).toBeNull();
+    expect(getByText('next')).toBeTruthy();
+    expect(rightSelector).toHaveBeenLastCalledWith({
+      onPress: expect.any(Function),
+      disabled: false,
+    });
+  });
+
+  test('goToNextWeek scrolls one page and resolves once settled', async () => {
+    const scrollToOffset = jest.spyOn(FlatList.prototype, 'scrollToOffset');
+    const calendarRef = React.createRef();
+    try {
+      const { UNSAFE_getByType } = render(
+        <CalendarStrip
+          showMonth={false}
+          horizontal={false}
+          weekHeight={50}
+          weekBuffer={2}
+          selectedDate={new Date(2025, 0, 8)}
+          calendarRef={calendarRef}
+        />
+      );
+      const flatList = UNSAFE_getByType(FlatList);
+      flatList.props.onLayout({ nativeEvent: { layout: { height: 100 } } });
+      flatList.props.onScroll({ nativeEvent: { contentOffset: { x: 0, y: 50 } } });
+
+      let settled = false;
+      let promise;
+      act(() => {
+        promise = calendarRef.current.goToNextWeek();
+        promise.then(() => { settled = true; });
+      });
+      // The scroll is issued on the next frame
+      await act(() => new Promise(resolve => setTimeout(resolve, 20)));
+      expect(scrollToOffset).toHaveBeenLastCalledWith({ offset: 100, animated: true });
+      expect(settled).toBe(false);
+
+      // A drag ending elsewhere does not settle the request
+      act(() => {
+        flatList.props.onScrollEndDrag({ nativeEvent: { contentOffset: { x: 0, y: 50 } } });
+      });
+      await act(() => new Promise(resolve => setTimeout(resolve, 20)));
+      expect(settled).toBe(false);
+
+      act(() => {
+        flatList.props.onMomentumScrollEnd({ nativeEvent: { contentOffset: { x: 0, y: 100 } } });
+      });
+      await expect(promise).resolves.toBe(true);
+    } finally {
+      scrollToOffset.mockRestore();
+    }
+  });
+
+  test('goToNextWeek resolves once the target week becomes visible', async () => {
+    const ref = React.createRef();
+    const { UNSAFE_getByType } = render(
+      <CalendarStrip showMonth={false} selectedDate={new Date(2025, 0, 8)} ref={ref} />
+    );
+    const flatList = UNSAFE_getByType(FlatList);
+    flatList.props.onScroll({
+      nativeEvent: { contentOffset: { x: 3 * Dimensions.get('window').width, y: 0 } }
+    });
+    const reportViewable = index => act(() => {
+      flatList.props.viewabilityConfigCallbackPairs[0].onViewableItemsChanged({
+        viewableItems: [{ index, item: ref.current.getWeeks()[index] }]
+      });
+    });
+
+    let settled = false;
+    let promise;
+    act(() => {
+      promise = ref.current.goToNextWeek();
+      promise.then(() => { settled = true; });
+    });
+    await act(() => new Promise(resolve => setTimeout(resolve, 20)));
+
+    // Still on the starting week
+    reportViewable(3);
+    await act(() => new Promise(resolve => setTimeout(resolve, 20)));
+    expect(settled).toBe(false);
+
+    reportViewable(4);
+    await expect(promise).resolves.toBe(true);
+  });
+
+  test('goToNextWeek resolves false when the scroll never reaches the page', async () => {
+    const ref = React.createRef();
+    const { UNSAFE_getByType, unmount } = render(
+      <CalendarStrip showMonth={false} selectedDate={new Date(2025, 0, 8)} ref={ref} />
+    );
+    UNSAFE_getByType(FlatList).props.onScroll({
+      nativeEvent: { contentOffset: { x: 3 * Dimensions.get('window').width, y: 0 } }
+    });
+
+    let timedOut;
+    act(() => {
+      timedOut = ref.current.goToNextWeek();
+    });
+    await act(() => new Promise(resolve => setTimeout(resolve, 3100)));
+    await expect(timedOut).resolves.toBe(false);
+
+    let pending;
+    act(() => {
+      pending = ref.current.goToNextWeek();
+    });
+    unmount();
+    await expect(pending).resolves.toBe(false);
+  });
+
+  test('goToPreviousWeek resolves false at minDate without scrolling', async () => {
+    const scrollToOffset = jest.spyOn(FlatList.prototype, 'scrollToOffset');
+    const calendarRef = React.createRef();
+    try {
+      render(
+        <CalendarStrip
+          showMonth={false}
+          selectedDate={new Date(2025, 0, 8)}
+          minDate={new Date(2025, 0, 5)}
+          calendarRef={calendarRef}
+        />
+      );
+      await expect(calendarRef.current.goToPreviousWeek()).resolves.toBe(false);
+      expect(scrollToOffset).not.toHaveBeenCalled();
+    } finally {
+      scrollToOffset.mockRestore();
+    }
+  });
+
+  test('imperative API selects, moves the view, reports the range and refreshes', () => {
+    const calendarRef = React.createRef();
+    const onDateSelected = jest.fn();
+    const markedDates = jest.fn(() => []);
+    const { getByLabelText } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        defaultSelectedDate={new Date(2025, 0, 8)}
+        onDateSelected={onDateSelected}
+        markedDates={markedDates}
+        calendarRef={calendarRef}
+      />
+    );
+    const format = d => d.format('YYYY-MM-DD');
+
+    act(() => {
+      calendarRef.current.setSelectedDate('2025-01-20');
+    });
+    expect(onDateSelected.mock.calls[0][1]).toBe('2025-01-20');
+    expect(getByLabelText('Monday, January 20, 2025')).toBeTruthy();
+    expect(format(calendarRef.current.getSelectedDate())).toBe('2025-01-20');
+
+    act(() => {
+      calendarRef.current.updateWeekView(new Date(2025, 1, 5));
+    });
+    expect(format(calendarRef.current.getSelectedDate())).toBe('2025-01-20');
+    const range = calendarRef.current.getVisibleRange();
+    expect([format(range.startDate), format(range.endDate)]).toEqual(['2025-02-02', '2025-02-08']);
+    expect(range.startDateString).toBe('2025-02-02');
+
+    markedDates.mockClear();
+    act(() => {
+      calendarRef.current.refresh();
+    });
+    expect(markedDates).toHaveBeenCalledTimes(1);
+    expect(format(markedDates.mock.calls[0][0])).toBe('2025-02-02');
+
+    expect(calendarRef.current.getNextWeek).toBe(calendarRef.current.goToNextWeek);
+    expect(calendarRef.current.scrollToDateForce).toBe(calendarRef.current.jumpToDate);
+  });
+
+  test('jumpToDate clamps the date and selects it as a tap would', () => {
+    const ref = React.createRef();
+    const onDateSelected = jest.fn();
+    const { getByLabelText } = render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        maxDate={new Date(2025, 0, 21)}
+        datesBlacklist={date => date.day() === 0}
+        onDateSelected={onDateSelected}
+        ref={ref}
+      />
+    );
+
+    act(() => {
+      ref.current.jumpToDate('2025-03-01');
+    });
+    // A controlled strip is told about the clamped date
+    expect(onDateSelected).toHaveBeenCalledTimes(1);
+    expect(onDateSelected.mock.calls[0][1]).toBe('2025-01-21');
+    expect(getByLabelText('Tuesday, January 21, 2025')).toBeTruthy();
+
+    // Disabled dates are brought into view without being selected
+    act(() => {
+      ref.current.scrollToDate('2025-01-12');
+    });
+    expect(onDateSelected).toHaveBeenCalledTimes(1);
+    expect(getByLabelText('Sunday, January 12, 2025')).toBeTruthy();
+  });
+
+  test('getCurrentWeek follows the visible week', () => {
+    const ref = React.createRef();
+    const { UNSAFE_getByType } = render(
+      <CalendarStrip showMonth={false} selectedDate={new Date(2025, 0, 8)} ref={ref} />
+    );
+    expect(ref.current.getCurrentWeekIndex()).toBe(3);
+
+    const flatList = UNSAFE_getByType(FlatList);
+    act(() => {
+      flatList.props.onScroll({
+        nativeEvent: { contentOffset: { x: 4 * Dimensions.get('window').width, y: 0 } }
+      });
+      flatList.props.viewabilityConfigCallbackPairs[0].onViewableItemsChanged({
+        viewableItems: [{ index: 4, item: ref.current.getWeeks()[4] }]
+      });
+    });
+    expect(ref.current.getCurrentWeekIndex()).toBe(4);
+    expect(ref.current.getCurrentWeek().id).toBe('2025-01-12');
+  });
+
+  test('forwarded ref and the deprecated calendarRef expose the same methods', () => {
+    const ref = React.createRef();
+    const calendarRef = React.createRef();
+    render(
+      <CalendarStrip
+        showMonth={false}
+        scrollable={false}
+        selectedDate={new Date(2025, 0, 8)}
+        ref={ref}
+        calendarRef={calendarRef}
+      />
+    );
+    expect(Object.keys(ref.current).sort()).toEqual(Object.keys(calendarRef.current).sort());
+    expect(ref.current.getSelectedDate().format('YYYY-MM-DD')).toBe('2025-01-08');
+    expect(calendarRef.current.getSelectedDate().format('YYYY-MM-DD')).toBe('2025-01-08');
+  });
+
+  test('warns about calendarRef once per instance', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const strip = () => (
+        <CalendarStrip showMonth={false} scrollable={false} calendarRef={() => {}} />
+      );
+      const { rerender } = render(strip());
+      rerender(strip());
+      rerender(strip());
+      const warnings = log.mock.calls.filter(([message]) => String(message).includes('calendarRef is deprecated'));
+      expect(warnings).toHaveLength(1);
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  describe('controlled and uncontrolled selection', () => {
+    const colorOf = (getByText, day) => StyleSheet.flatten(getByText(day).props.style).color;
+    const props = {
+      showMonth: false,
+      scrollable: false,
+      highlightDateNumberStyle: { color: 'white' },
+    };
+
+    test('controlled selectedDate only moves when the prop changes', () => {
+      const onDateSelected = jest.fn();
+      const { getByText, getByLabelText, rerender } = render(
+        <CalendarStrip
+          {...props}
+          selectedDate={new Date(2025, 0, 8)}
+          onDateSelected={onDateSelected}
+        />
+      );
+
+      fireEvent.press(getByLabelText('Friday, January 10, 2025'));
+      expect(onDateSelected.mock.calls[0][1]).toBe('2025-01-10');
+      expect(colorOf(getByText, '8')).toBe('white');
+      expect(colorOf(getByText, '10')).not.toBe('white');
+
+      rerender(
+        <CalendarStrip
+          {...props}
+          selectedDate={new Date(2025, 0, 10)}
+          onDateSelected={onDateSelected}
+        />
+      );
+      expect(colorOf(getByText, '10')).toBe('white');
+      expect(colorOf(getByText, '8')).not.toBe('white');
+    });
+
+    test('defaultSelectedDate starts an uncontrolled selection', () => {
+      const { getByText, getByLabelText } = render(
+        <CalendarStrip {...props} defaultSelectedDate={new Date(2025, 0, 8)} />
+      );
+      expect(colorOf(getByText, '8')).toBe('white');
+
+      fireEvent.press(getByLabelText('Friday, January 10, 2025'));
+      expect(colorOf(getByText, '10')).toBe('white');
+      expect(colorOf(getByText, '8')).not.toBe('white');
+    });
+
+    test('without dates it starts on today in timeZone at mount', () => {
+      jest.useFakeTimers('modern');
+      // Already January 9th in Seoul
+      jest.setSystemTime(new Date('2025-01-08T20:00:00Z'));
+      try {
+        const { getByText } = render(<CalendarStrip {...props} timeZone="Asia/Seoul" />);
+        expect(colorOf(getByText, '9')).toBe('white');
+        expect(colorOf(getByText, '8')).not.toBe('white');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('onBeforeDateSelected returning false cancels the tap', () => {
+      const onBeforeDateSelected = jest.fn(date => date.day() !== 5);
+      const onDateSelected = jest.fn();
+      const { getByText, getByLabelText } = render(
+        <CalendarStrip
+          {...props}
+          defaultSelectedDate={new Date(2025, 0, 8)}
+          onBeforeDateSelected={onBeforeDateSelected}
+          onDateSelected={onDateSelected}
+        />
+      );
+
+      fireEvent.press(getByLabelText('Friday, January 10, 2025'));
+      expect(onBeforeDateSelected.mock.calls[0][1]).toBe('2025-01-10');
+      expect(onDateSelected).not.toHaveBeenCalled();
+      expect(colorOf(getByText, '8')).toBe('white');
+
+      fireEvent.press(getByLabelText('Thursday, January 9, 2025'));
+      expect(onDateSelected).toHaveBeenCalledTimes(1);
+      expect(colorOf(getByText, '9')).toBe('white');
+    });
+  });
+
+  test('date props accept strings and epochs, invalid ones warn and fall back', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const { getByLabelText, rerender } = render(
+        <CalendarStrip
+          showMonth={false}
+          scrollable={false}
+          selectedDate="2025-01-08"
+          minDate="2025-01-06T00:00:00"
+          maxDate={new Date(2025, 0, 9).getTime()}
+        />
+      );
+      expect(getByLabelText('Sunday, January 5, 2025').props.accessibilityState).toEqual({ disabled: true });
+      expect(getByLabelText('Monday, January 6, 2025').props.accessibilityState).toEqual({ disabled: false });
+      expect(getByLabelText('Friday, January 10, 2025').props.accessibilityState).toEqual({ disabled: true });
+
+      rerender(
+        <CalendarStrip
+          showMonth={false}
+          scrollable={false}
+          selectedDate="2025-01-08"
+          minDate="not a date"
+          maxDate="2025-02-30"
+        />
+      );
+      expect(log).toHaveBeenCalledWith('[WARN] Invalid date for minDate: not a date');
+      expect(log).toHaveBeenCalledWith('[WARN] Invalid date for maxDate: 2025-02-30');
+      expect(getByLabelText('Sunday, January 5, 2025').props.accessibilityState).toEqual({ disabled: false });
+      expect(getByLabelText('Friday, January 10, 2025').props.accessibilityState).toEqual({ disabled: false });
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test('selectedDates accepts date strings and epochs', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const { getByText } = render(
+        <CalendarStrip
+          showMonth={false}
+          scrollable={false}
+          selectionMode="multiple"
+          selectedDate={new Date(2025, 0, 8)}
+          selectedDates={['2025-01-06', new Date(2025, 0, 9).getTime()]}
+          highlightDateNumberStyle={{ color: 'white' }}
+        />
+      );
+      expect(error).not.toHaveBeenCalled();
+      expect(StyleSheet.flatten(getByText('6').props.style).color).toBe('white');
+      expect(StyleSheet.flatten(getByText('9').props.style).color).toBe('white');
+    } finally {
+      error.mockRestore();
+    }
+  });
+
+  describe('minDate/maxDate bounds', () => {
+    test('dates are unbounded by default', () => {
+      const { getByLabelText } = render(
+        <CalendarStrip showMonth={false} scrollable={false} selectedDate="2021-03-10" showWeekSelectors />
+      );
+      expect(getByLabelText('Sunday, March 7, 2021').props.accessibilityState).toEqual({ disabled: false });
+      expect(getByLabelText('Previous week').props.accessibilityState).toEqual({ disabled: false });
+    });
+
+    test('block policy stops at the bound and reports it', () => {
+      const onBoundaryReached = jest.fn();
+      const { getByLabelText } = render(
+        <CalendarStrip
+          showMonth={false}
+          scrollable={false}
+          selectedDate={new Date(2025, 0, 8)}
+          maxDate={new Date(2025, 0, 10)}
+          onBoundaryReached={onBoundaryReached}
+          showWeekSelectors
+        />
+      );
+      expect(onBoundaryReached).toHaveBeenCalledTimes(1);
+      expect(onBoundaryReached).toHaveBeenCalledWith('end');
+      expect(getByLabelText('Next week').props.accessibilityState).toEqual({ disabled: true });
+    });
+
+    test('disable policy pages past the bound with the days disabled', () => {
+      const onBoundaryReached = jest.fn();
+      const { getByLabelText } = render(
+        <CalendarStrip
+          showMonth={false}
+          scrollable={false}
+          boundsPolicy="disable"
+          showWeekSelectors
+          selectedDate={new Date(2025, 0, 15)}
+          minDate={new Date(2025, 0, 6)}
+          onBoundaryReached={onBoundaryReached}
+        />
+      );
+      expect(onBoundaryReached).not.toHaveBeenCalled();
+
+      fireEvent.press(getByLabelText('Previous week'));
+      expect(onBoundaryReached).toHaveBeenCalledWith('start');
+      expect(getByLabelText('Sunday, January 5, 2025').props.accessibilityState).toEqual({ disabled: true });
+
+      fireEvent.press(getByLabelText('Previous week'));
+      expect(getByLabelText('Sunday, December 29, 2024').props.accessibilityState).toEqual({ disabled: true });
+      expect(onBoundaryReached.mock.calls).toEqual([['start']]);
+    });
+
+    test('a scrollable strip never loads weeks past the bounds', async () => {
+      const ref = React.createRef();
+      const { UNSAFE_getByType } = render(
+        <CalendarStrip
+          showMonth={false}
+          selectedDate={new Date(2025, 0, 8)}
+          minDate={new Date(2025, 0, 6)}
+          maxDate={new Date(2025, 0, 20)}
+          ref={ref}
+        />
+      );
+      const flatList = UNSAFE_getByType(FlatList);
+      const w = Dimensions.get('window').width;
+      const outside = () => flatList.props.data
+        .filter(week =>
+          week.endDate.format('YYYY-MM-DD') < '2025-01-06' ||
+          week.startDate.format('YYYY-MM-DD') > '2025-01-20'
+        );
+      expect(ref.current.getWeeks().map(week => week.id))
+        .toEqual(['2025-01-05', '2025-01-12', '2025-01-19']);
+      expect(outside()).toEqual([]);
+
+      // Swiping onto either edge of the window loads nothing further
+      for (const x of [0, 2 * w, 0]) {
+        act(() => {
+          flatList.props.onScrollEndDrag({ nativeEvent: { contentOffset: { x, y: 0 } } });
+        });
+        await act(() => new Promise(resolve => setTimeout(resolve, 20)));
+        expect(UNSAFE_getByType(FlatList).props.data).toHaveLength(3);
+        expect(outside()).toEqual([]);
+      }
+    });
+
+    test('a window cut short by minDate grows back when swiped forward', async () => {
+      const ref = React.createRef();
+      const { UNSAFE_getByType } = render(
+        <CalendarStrip
+          showMonth={false}
+          selectedDate={new Date(2025, 0, 8)}
+          minDate={new Date(2025, 0, 6)}
+          ref={ref}
+        />
+      );
+      const ids = () => ref.current.getWeeks().map(week => week.id);
+      expect(ids()).toEqual(['2025-01-05', '2025-01-12', '2025-01-19', '2025-01-26']);
+
+      act(() => {
+        UNSAFE_getByType(FlatList).props.onScrollEndDrag({
+          nativeEvent: { contentOffset: { x: 3 * Dimensions.get('window').width, y: 0 } }
+        });
+      });
+      await act(() => new Promise(resolve => setTimeout(resolve, 20)));
+      expect(ids()).toEqual([
+        '2025-01-05', '2025-01-12', '2025-01-19', '2025-01-26',
+        '2025-02-02', '2025-02-09', '2025-02-16',
+      ]);
+    });
+  });
 });
@@ -28,22 +28,24 @@ import java.util.TimeZone;
 public class ATFCalendarModule extends ReactContextBaseJavaModule {
     private static final String MODULE_NAME = "ATFCalendarModule";
     private static final SimpleDateFormat ISO_DATE_FORMAT = new SimpleDateFormat("yyyy-MM-dd'T'HH:mm:ss.SSS'Z'", Locale.US);
-    private static final SimpleDateFormat ISO_DATE_ONLY_FORMAT = new SimpleDateFormat("yyyy-MM-dd", Locale.US);
     
     static {
         ISO_DATE_FORMAT.setTimeZone(TimeZone.getTimeZone("UTC"));
-        ISO_DATE_ONLY_FORMAT.setTimeZone(TimeZone.getTimeZone("UTC"));
     }
     
     // Calendar configuration
     private boolean mUseIsoWeek = false;
     private int mWeekLength = 7;
+    // Zone for day boundaries and "today"; set through initialize's timeZone option
+    private TimeZone mTimeZone = TimeZone.getDefault();
+    private final SimpleDateFormat mDateOnlyFormat = new SimpleDateFormat("yyyy-MM-dd", Locale.US);
     
     // Calendar cache to improve performance
     private final Map<String, WritableArray> mWeekCache = new HashMap<>();
 
     public ATFCalendarModule(ReactApplicationContext reactContext) {
         super(reactContext);
+        mDateOnlyFormat.setTimeZone(mTimeZone);
     }
 
     @Override
@@ -68,6 +70,11 @@ public class ATFCalendarModule extends ReactContextBaseJavaModule {
                 mWeekLength = options.getInt("weekLength");
             }
             
+            mTimeZone = options.hasKey("timeZone") && !options.isNull("timeZone")
+                ? TimeZone.getTimeZone(options.getString("timeZone"))
+                : TimeZone.getDefault();
+            mDateOnlyFormat.setTimeZone(mTimeZone);
+            
             // Clear cache on initialization
             mWeekCache.clear();
             
@@ -87,7 +94,7 @@ public class ATFCalendarModule extends ReactContextBaseJavaModule {
     public void getWeekStart(String isoDateString, boolean useIsoWeek, Promise promise) {
         try {
             Date date = parseISODate(isoDateString);
-            Calendar calendar = Calendar.getInstance();
+            Calendar calendar = Calendar.getInstance(mTimeZone);
             calendar.setTime(date);
             
             int firstDayOfWeek = useIsoWeek ? Calendar.MONDAY : Calendar.SUNDAY;
@@ -104,7 +111,7 @@ public class ATFCalendarModule extends ReactContextBaseJavaModule {
             calendar.set(Calendar.SECOND, 0);
             calendar.set(Calendar.MILLISECOND, 0);
             
-            String weekStartIsoDate = ISO_DATE_ONLY_FORMAT.format(calendar.getTime());
+            String weekStartIsoDate = mDateOnlyFormat.format(calendar.getTime());
             promise.resolve(weekStartIsoDate);
         } catch (Exception e) {
             promise.reject("DATE_ERROR", "Failed to calculate week start", e);
@@ -128,7 +135,7 @@ public class ATFCalendarModule extends ReactContextBaseJavaModule {
             }
             
             Date startDate = parseISODate(startIsoDate);
-            Calendar calendar = Calendar.getInstance();
+            Calendar calendar = Calendar.getInstance(mTimeZone);
             calendar.setTime(startDate);
             
             // Set time to start of day
@@ -140,7 +147,7 @@ public class ATFCalendarModule extends ReactContextBaseJavaModule {
             WritableArray datesArray = new WritableNativeArray();
             
             // Get today for comparison
-            Calendar today = Calendar.getInstance();
+            Calendar today = Calendar.getInstance(mTimeZone);
             today.set(Calendar.HOUR_OF_DAY, 0);
             today.set(Calendar.MINUTE, 0);
             today.set(Calendar.SECOND, 0);
@@ -155,7 +162,7 @@ public class ATFCalendarModule extends ReactContextBaseJavaModule {
                 Date currentDate = calendar.getTime();
                 
                 WritableMap dateMap = new WritableNativeMap();
-                dateMap.putString("dateString", ISO_DATE_ONLY_FORMAT.format(currentDate));
+                dateMap.putString("dateString", mDateOnlyFormat.format(currentDate));
                 dateMap.putInt("year", calendar.get(Calendar.YEAR));
                 dateMap.putInt("month", calendar.get(Calendar.MONTH));
                 dateMap.putInt("day", calendar.get(Calendar.DAY_OF_MONTH));
@@ -188,7 +195,7 @@ public class ATFCalendarModule extends ReactContextBaseJavaModule {
             return ISO_DATE_FORMAT.parse(isoDateString);
         } catch (ParseException e) {
             // Try with date-only format
-            return ISO_DATE_ONLY_FORMAT.parse(isoDateString);
+            return mDateOnlyFormat.parse(isoDateString);
         }
     }
     
@@ -1,9 +1,11 @@
-import { ReactNode, RefObject } from "react";
+import { ForwardRefExoticComponent, ReactNode, RefAttributes, RefObject } from "react";
 import { Dayjs } from "dayjs";
 import {
   StyleProp,
   ViewStyle,
-  TextStyle
+  TextStyle,
+  ImageStyle,
+  ImageSourcePropType
 } from "react-native";
 
 /**
@@ -38,10 +40,97 @@ export interface CalendarWeek {
   startDate: Dayjs;
   /** End date of week as dayjs object */
   endDate: Dayjs;
+  /** Week of the year, counted in weeks starting on firstDayOfWeek (ISO with useIsoWeekday) */
+  weekNumber: number;
   /** Array of day objects in this week */
   days: CalendarDay[];
 }
 
+/**
+ * Locale passed as an object; `config` is registered with dayjs under `name`
+ */
+export interface CalendarLocale {
+  name: string;
+  config: Record<string, any>;
+}
+
+/**
+ * YYYY-MM-DD strings of the range passed to a week or range callback.
+ * Unlike the Dayjs arguments they never shift with the device time zone.
+ */
+export interface DateRangeStrings {
+  startDate: string;
+  endDate: string;
+}
+
+/**
+ * Options accepted by the headless CalendarController
+ */
+export interface CalendarControllerOptions {
+  /** Initially selected date */
+  initialDate?: Dayjs | Date | string;
+  /** Use ISO weekday (Monday as first day) */
+  useIsoWeekday?: boolean;
+  /** First day of the week, 0 (Sunday) to 6 (Saturday); overrides useIsoWeekday */
+  firstDayOfWeek?: 0 | 1 | 2 | 3 | 4 | 5 | 6;
+  /** Number of days per week @default 7 */
+  numDaysInWeek?: number;
+  /** Registered dayjs locale used for day names */
+  locale?: string;
+  /** IANA time zone for "today", initialDate and minDate/maxDate */
+  timeZone?: string;
+  /** Lower bound for navigation and selection */
+  minDate?: Dayjs | Date | string;
+  /** Upper bound for navigation and selection */
+  maxDate?: Dayjs | Date | string;
+  /** Whether week generation stops at the bounds @default 'block' */
+  boundsPolicy?: BoundsPolicy;
+  /** Dates that cannot be selected */
+  datesBlacklist?: DateRule;
+  /** When set, only these dates can be selected */
+  datesWhitelist?: DateRule;
+  /**
+   * Total number of weeks in a window, the current week included. Unlike
+   * CalendarStrip's weekBuffer prop this is not a per-side count. @default 3
+   */
+  weekBuffer?: number;
+}
+
+/**
+ * UI-free controller owning week generation, caching and min/max clamping.
+ * Usable without React Native (e.g. on a server or in Jest).
+ */
+export class CalendarController {
+  constructor(options?: CalendarControllerOptions);
+  setOptions(options: Partial<CalendarControllerOptions>): void;
+  addListener(listener: (controller: CalendarController) => void): () => void;
+  getWeekStart(date: Dayjs | Date | string): Dayjs;
+  getWeek(startDate: Dayjs | Date | string): CalendarWeek;
+  getWeeksBefore(weekStart: Dayjs | Date | string, count: number): CalendarWeek[];
+  getWeeksAfter(weekStart: Dayjs | Date | string, count: number): CalendarWeek[];
+  getMonthWeeks(date: Dayjs | Date | string): CalendarWeek[];
+  /** Window of `count` (default weekBuffer) weeks around the clamped date */
+  getWeekWindow(
+    centerDate: Dayjs | Date | string,
+    count?: number
+  ): { weeks: CalendarWeek[]; centerIndex: number };
+  clearCache(): void;
+  isDateInBounds(date: Dayjs | Date | string): boolean;
+  isDateDisabled(date: Dayjs | Date | string): boolean;
+  clampDate(date: Dayjs | Date | string): Dayjs;
+  updateVisibleDates(startDate: Dayjs | Date | string, endDate: Dayjs | Date | string): void;
+  findWeekIndexByDate(date: Dayjs | Date | string): number;
+  getWeeks(): CalendarWeek[];
+  getCurrentWeek(): CalendarWeek | null;
+  getCurrentWeekIndex(): number;
+  goToNextWeek(): boolean;
+  goToPreviousWeek(): boolean;
+  selectDate(date: Dayjs | Date | string): boolean;
+  jumpToDate(date: Dayjs | Date | string): void;
+  getSelectedDate(): Dayjs;
+  getSelectedDateNative(): Date;
+}
+
 /**
  * Props for custom day component - exact match to what's passed in CalendarDateItem.js
  */
@@ -67,9 +156,31 @@ export interface IDayComponentProps {
   isWeekend: boolean;
   
   /**
-   * Whether this date is disabled (outside of min/max range)
+   * Whether this date is disabled (outside of min/max range or excluded by
+   * datesBlacklist / datesWhitelist)
    */
   isDisabled?: boolean;
+
+  /**
+   * Whether this date lies strictly between the range start and end
+   * (selectionMode="range" only)
+   */
+  isInRange?: boolean;
+
+  /**
+   * Whether this date is the start of the selected range
+   */
+  isRangeStart?: boolean;
+
+  /**
+   * Whether this date is the end of the selected range
+   */
+  isRangeEnd?: boolean;
+
+  /**
+   * Entry from customDatesStyles that applies to this date, if any
+   */
+  customStyle?: CustomDateStyle;
   
   /**
    * If this date has a marker, it will be provided here
@@ -91,6 +202,83 @@ export interface DateRange {
   end: Dayjs;
 }
 
+/**
+ * Date accepted by CalendarStrip props and methods: Dayjs, Date, epoch
+ * milliseconds, or an ISO 8601 string ('YYYY-MM-DD' names a calendar day).
+ * Invalid values log a warning in development and are treated as unset.
+ */
+export type DateInput = Dayjs | Date | string | number;
+
+/**
+ * How minDate/maxDate limit scrolling
+ */
+export type BoundsPolicy = 'block' | 'disable';
+
+/**
+ * State passed to function-form leftSelector/rightSelector
+ */
+export interface WeekSelectorState {
+  /** Pages the strip one week back or forward */
+  onPress: () => void;
+  /** True when the next page lies entirely outside minDate/maxDate */
+  disabled: boolean;
+}
+
+/**
+ * Rule for datesBlacklist / datesWhitelist: a list of dates or ranges,
+ * or a predicate receiving each date
+ */
+export type DateRule =
+  | Array<Dayjs | Date | string | DateRange>
+  | ((date: Dayjs) => boolean);
+
+/**
+ * Style entry for customDatesStyles. Applies to a single day, or to every
+ * day from startDate to endDate (inclusive) when endDate is given.
+ */
+export interface CustomDateStyle {
+  startDate?: Dayjs | Date | string;
+  endDate?: Dayjs | Date | string;
+  dateContainerStyle?: StyleProp<ViewStyle>;
+  dateNameStyle?: StyleProp<TextStyle>;
+  dateNumberStyle?: StyleProp<TextStyle>;
+  highlightDateNameStyle?: StyleProp<TextStyle>;
+  highlightDateNumberStyle?: StyleProp<TextStyle>;
+}
+
+/**
+ * A single dot or line marker
+ */
+export interface MarkerItem {
+  /** Marker colour */
+  color: string;
+  /** Colour used while the day is selected */
+  selectedColor?: string;
+  /** Optional React key */
+  key?: string | number;
+  [key: string]: any;
+}
+
+/**
+ * Object form of markedDates keyed by YYYY-MM-DD date string
+ */
+export type MarkedDatesMap = {
+  [dateString: string]: Omit<MarkedDate, 'date'> | true;
+};
+
+/**
+ * Function form of markedDates, called once per generated week.
+ * Results (or resolved Promises) are cached per week while the week stays
+ * loaded; weeks that leave the window are loaded again when they return.
+ */
+export type MarkedDatesLoader = (
+  weekStart: Dayjs,
+  weekEnd: Dayjs
+) =>
+  | MarkedDate[]
+  | MarkedDatesMap
+  | Promise<MarkedDate[] | MarkedDatesMap>;
+
 /**
  * Marker date format used in the markedDates array
  */
@@ -98,7 +286,9 @@ export interface MarkedDate {
   /** Date to mark - can be Dayjs object, JavaScript Date, or date string */
   date: Dayjs | Date | string;
   /** Optional dots to display for the marker */
-  dots?: Array<{color?: string; [key: string]: any}>;
+  dots?: MarkerItem[];
+  /** Optional line (bar) markers drawn under the dots */
+  lines?: MarkerItem[];
   /** Any additional custom properties */
   [key: string]: any;
 }
@@ -109,29 +299,67 @@ export interface MarkedDate {
 export interface CalendarStripProps {
   // Calendar configuration
   /**
-   * Initial selected date (Dayjs, JavaScript Date, or date string)
+   * Selected date. Setting it makes
+   * the selection controlled: taps only call onDateSelected and the
+   * highlight changes when this prop does.
    */
-  selectedDate?: Dayjs | Date | string;
+  selectedDate?: DateInput;
+
+  /**
+   * Initially selected date of an uncontrolled strip, which then keeps the
+   * selection itself
+   */
+  defaultSelectedDate?: DateInput;
   
   /**
-   * Date to start the calendar at (Dayjs, JavaScript Date, or date string)
+   * Date to start the calendar at. Defaults to today in timeZone at mount
    */
-  startingDate?: Dayjs | Date | string;
+  startingDate?: DateInput;
   
   /**
-   * Minimum selectable date (Dayjs, JavaScript Date, or date string)
+   * Minimum selectable date. Unbounded when unset
    */
-  minDate?: Dayjs | Date | string;
+  minDate?: DateInput;
   
   /**
-   * Maximum selectable date (Dayjs, JavaScript Date, or date string)
+   * Maximum selectable date. Unbounded when unset
    */
-  maxDate?: Dayjs | Date | string;
+  maxDate?: DateInput;
+
+  /**
+   * What minDate/maxDate do to scrolling: 'block' stops at the bound week,
+   * 'disable' keeps scrolling and only disables the days outside the bounds
+   * @default 'block'
+   */
+  boundsPolicy?: BoundsPolicy;
+
+  /**
+   * IANA time zone (e.g. 'Asia/Seoul') used for week generation, "today" and
+   * min/max comparisons. Callback dates are the start of the day in this
+   * zone. Defaults to the device time zone.
+   */
+  timeZone?: string;
+
+  /**
+   * Dates that cannot be selected. Overrides datesWhitelist.
+   */
+  datesBlacklist?: DateRule;
+
+  /**
+   * When set, only these dates can be selected
+   */
+  datesWhitelist?: DateRule;
   
   /**
    * Use ISO weekday (Monday as first day)
    */
   useIsoWeekday?: boolean;
+
+  /**
+   * First day of the week, 0 (Sunday) to 6 (Saturday), e.g. 6 for
+   * Saturday-start weeks. Overrides useIsoWeekday and ignores the locale.
+   */
+  firstDayOfWeek?: 0 | 1 | 2 | 3 | 4 | 5 | 6;
   
   /**
    * Number of days to show in a week
@@ -149,6 +377,58 @@ export interface CalendarStripProps {
    */
   scrollerPaging?: boolean;
 
+  /**
+   * "week" pages by whole weeks; "day" renders a continuous day list that
+   * snaps to single days. Both keep the same week window and min/max bounds.
+   * @default "week"
+   */
+  scrollMode?: 'week' | 'day';
+
+  /**
+   * "week" shows the strip, "month" expands it into a month grid around the
+   * selected date. Switching is animated.
+   * @default "week"
+   */
+  mode?: 'week' | 'month';
+
+  /**
+   * false stacks the week window vertically with the same infinite
+   * shifting. Give the strip a height (e.g. flex: 1) and a weekBuffer larger
+   * than the number of visible rows. Day scrollMode is horizontal only.
+   * @default true
+   */
+  horizontal?: boolean;
+
+  /**
+   * Row height of each week when horizontal is false
+   * @default 64
+   */
+  weekHeight?: number;
+
+  /**
+   * Show a drag handle (drag down to expand, up to collapse, tap to toggle)
+   * and let a header tap toggle the month grid
+   * @default false
+   */
+  expandable?: boolean;
+
+  /**
+   * Selection behaviour. "range" selects a start and an end date with two taps,
+   * "multiple" toggles any number of separate days.
+   * @default "single"
+   */
+  selectionMode?: "single" | "range" | "multiple";
+
+  /**
+   * Selected days in "multiple" mode. Providing it makes the selection controlled.
+   */
+  selectedDates?: DateInput[];
+
+  /**
+   * Maximum number of days selectable in "multiple" mode
+   */
+  maxSelections?: number;
+
   /**
    * Number of weeks kept in memory when scrollable.
    * Visible week plus this many weeks before and after will be rendered.
@@ -185,11 +465,24 @@ export interface CalendarStripProps {
    * Position of the calendar header
    */
   calendarHeaderPosition?: "top" | "bottom";
+
+  /**
+   * Render a custom header instead of the built-in one. Receives the visible
+   * week (the month's first and last day in month mode) and the active date.
+   */
+  renderHeader?: (info: { weekStart: Dayjs; weekEnd: Dayjs; activeDate: Dayjs }) => ReactNode;
   
   /**
    * Style for the calendar header
    */
   calendarHeaderStyle?: StyleProp<TextStyle>;
+
+  /**
+   * Locale for day names, the header and accessibility labels. A name such as
+   * 'ko' or 'fr-CA', or a `{ name, config }` object registered with dayjs.
+   * Can be changed at runtime.
+   */
+  locale?: string | CalendarLocale;
   
   // Styling
   /**
@@ -236,6 +529,12 @@ export interface CalendarStripProps {
    * Style for the day container
    */
   dayContainerStyle?: StyleProp<ViewStyle>;
+
+  /**
+   * Per-date styles, as a list of entries or a function returning the
+   * entry for a date. Highlight styles are applied on top for the selected day.
+   */
+  customDatesStyles?: CustomDateStyle[] | ((date: Dayjs) => CustomDateStyle | undefined);
   
   /**
    * Opacity for disabled dates
@@ -246,6 +545,27 @@ export interface CalendarStripProps {
    * Whether to apply different styling to weekend days
    */
   styleWeekend?: boolean;
+
+  /**
+   * Background color for days between range start and end
+   * @default "#E6F0FB"
+   */
+  rangeColor?: string;
+
+  /**
+   * Style for the container of days between range start and end
+   */
+  rangeDayContainerStyle?: StyleProp<ViewStyle>;
+
+  /**
+   * Style for the expand/collapse drag handle bar
+   */
+  expandHandleStyle?: StyleProp<ViewStyle>;
+
+  /**
+   * Style for the week number text shown with showWeekNumbers
+   */
+  weekNumberStyle?: StyleProp<TextStyle>;
   
   // Display options
   /**
@@ -259,6 +579,22 @@ export interface CalendarStripProps {
    * @default true
    */
   showDayNumber?: boolean;
+
+  /**
+   * Show the week of the year in a leading column of each week row, counted
+   * in weeks starting on firstDayOfWeek. ISO numbering with useIsoWeekday,
+   * otherwise week 1 holds the locale's yearStart (January 1st). Not shown
+   * with scrollMode="day"; use the `W`/`w` tokens in calendarHeaderFormat there.
+   * @default false
+   */
+  showWeekNumbers?: boolean;
+
+  /**
+   * Show the built-in previous/next week arrows. leftSelector/rightSelector
+   * render regardless of this flag.
+   * @default false
+   */
+  showWeekSelectors?: boolean;
   
   /**
    * Whether to display day names in uppercase
@@ -271,23 +607,88 @@ export interface CalendarStripProps {
   allowDayTextScaling?: boolean;
   
   // Events and callbacks
+  /**
+   * Called before a tapped date is selected. Returning false cancels the
+   * selection and onDateSelected is not called.
+   * @param date The tapped date
+   * @param dateString The tapped date as YYYY-MM-DD
+   */
+  onBeforeDateSelected?: (date: Dayjs, dateString: string) => boolean | void;
+
   /**
    * Callback when a date is selected
    * @param date The selected date
+   * @param dateString The selected date as YYYY-MM-DD
+   */
+  onDateSelected?: (date: Dayjs, dateString: string) => void;
+
+  /**
+   * Callback when a range has been completed (selectionMode="range")
+   * @param start First day of the range
+   * @param end Last day of the range
+   * @param dateStrings Both days as YYYY-MM-DD
    */
-  onDateSelected?: (date: Dayjs) => void;
+  onRangeSelected?: (start: Dayjs, end: Dayjs, dateStrings: DateRangeStrings) => void;
+
+  /**
+   * Callback when the selection changes in "multiple" mode
+   * @param dates Selected days in chronological order
+   * @param dateStrings The same days as YYYY-MM-DD
+   */
+  onSelectedDatesChange?: (dates: Dayjs[], dateStrings: string[]) => void;
   
   /**
    * Callback when the visible week changes
    * @param startDate First day of the new visible week
    * @param endDate Last day of the new visible week
+   * @param dateStrings Both days as YYYY-MM-DD
+   */
+  onWeekChanged?: (startDate: Dayjs, endDate: Dayjs, dateStrings: DateRangeStrings) => void;
+
+  /**
+   * Called when the user starts dragging the strip, with the week shown
+   * before the scroll
    */
-  onWeekChanged?: (startDate: Dayjs, endDate: Dayjs) => void;
+  onWeekScrollStart?: (
+    prevStartDate: Dayjs,
+    prevEndDate: Dayjs,
+    dateStrings: DateRangeStrings
+  ) => void;
+
+  /**
+   * Called once the scroll has settled on a week, with the new week and the
+   * week the scroll started from (both ranges are equal if it bounced back)
+   */
+  onWeekScrollEnd?: (
+    startDate: Dayjs,
+    endDate: Dayjs,
+    prevStartDate: Dayjs,
+    prevEndDate: Dayjs,
+    dateStrings: DateRangeStrings & { prevStartDate: string; prevEndDate: string }
+  ) => void;
+
+  /**
+   * Called when the visible week reaches minDate ('start') or maxDate ('end')
+   */
+  onBoundaryReached?: (boundary: 'start' | 'end') => void;
   
+  /**
+   * Called when "today" rolls over, at midnight (in `timeZone` when set) or
+   * when the app returns to the foreground on a later day
+   * @param today Start of the new day
+   * @param dateString The new day as YYYY-MM-DD
+   */
+  onTodayChanged?: (today: Dayjs, dateString: string) => void;
+
   /**
    * Callback when the header is selected
    */
   onHeaderSelected?: () => void;
+
+  /**
+   * Called when the handle, the header or expand()/collapse() switch modes
+   */
+  onModeChange?: (mode: 'week' | 'month') => void;
   
   /**
    * Called when the visible month or year changes.
@@ -310,20 +711,53 @@ export interface CalendarStripProps {
   dayComponent?: (props: IDayComponentProps) => ReactNode;
   
   /**
-   * Custom left selector component
+   * Replaces the previous week arrow. A node (`[]` hides the control) or a
+   * function rendering it from the arrow's state
    */
-  leftSelector?: ReactNode;
+  leftSelector?: ReactNode | ((state: WeekSelectorState) => ReactNode);
   
   /**
-   * Custom right selector component
+   * Replaces the next week arrow. A node (`[]` hides the control) or a
+   * function rendering it from the arrow's state
+   */
+  rightSelector?: ReactNode | ((state: WeekSelectorState) => ReactNode);
+
+  /**
+   * Image for the previous week arrow
    */
-  rightSelector?: ReactNode;
+  iconLeft?: ImageSourcePropType;
+
+  /**
+   * Image for the next week arrow
+   */
+  iconRight?: ImageSourcePropType;
+
+  /**
+   * Style applied to both arrow images, before iconLeftStyle/iconRightStyle
+   */
+  iconStyle?: StyleProp<ImageStyle>;
+
+  /**
+   * Style for the previous week arrow image
+   */
+  iconLeftStyle?: StyleProp<ImageStyle>;
+
+  /**
+   * Style for the next week arrow image
+   */
+  iconRightStyle?: StyleProp<ImageStyle>;
+
+  /**
+   * Style for the touchable container of each arrow
+   */
+  iconContainer?: StyleProp<ViewStyle>;
   
   // Markers
   /**
-   * Array of dates to mark
+   * Dates to mark: an array of markings, or an object map keyed by
+   * YYYY-MM-DD date string (`true` marks the day with the default dot)
    */
-  markedDates?: MarkedDate[];
+  markedDates?: MarkedDate[] | MarkedDatesMap | MarkedDatesLoader;
   
   /**
    * Style for the marked dates
@@ -334,26 +768,95 @@ export interface CalendarStripProps {
    * Custom marker component renderer
    */
   markerComponent?: (props: { date: Dayjs; dots: any[] }) => ReactNode;
+
+  /**
+   * Maximum number of dots drawn per day; the rest are shown as "+N".
+   * Use 0 to draw every dot.
+   * @default 3
+   */
+  maxDots?: number;
+
+  /**
+   * Style for the "+N" dot overflow label
+   */
+  dotOverflowTextStyle?: StyleProp<TextStyle>;
   
   // Reference
   /**
    * Ref to access calendar methods
-   * @example
-   * const calendarRef = useRef<CalendarStripMethods>(null);
-   * // Later access methods like:
-   * // calendarRef.current?.jumpToDate(date);
-   * // calendarRef.current?.getCurrentWeek();
+   * @deprecated Pass the ref through `ref` instead
    */
   calendarRef?: RefObject<CalendarStripMethods>;
 }
 
-export default class ReactNativeCalendarStrip extends Component<CalendarStripProps> {
-  getSelectedDate: () => undefined | Date | string;
-  setSelectedDate: (date: Dayjs | string) => void;
-  getNextWeek: () => void;
-  getPreviousWeek: () => void;
-  updateWeekView: (date: Dayjs | string) => void;
-  scrollToDateForce: (date: Dayjs | string) => void;
+/**
+ * Visible week (or day range in day mode) returned by getVisibleRange
+ */
+export interface VisibleRange {
+  startDate: Dayjs;
+  endDate: Dayjs;
+  startDateString: string;
+  endDateString: string;
+}
+
+/**
+ * Methods available through the component's `ref`. Dates are read in the `timeZone`
+ * prop, and returned Dayjs values match the ones passed to callbacks.
+ */
+export interface CalendarStripMethods {
+  // Selection
+  /** Currently selected date */
+  getSelectedDate(): Dayjs;
+  /** Select a date as a tap would (onDateSelected fires) and show its week */
+  setSelectedDate(date: DateInput): void;
+
+  // Navigation
+  /**
+   * Clamp a date into minDate/maxDate, select it as a tap would
+   * (onDateSelected fires; disabled dates are not selected) and rebuild the
+   * strip around it
+   */
+  jumpToDate(date: DateInput): void;
+  /** Same as jumpToDate */
+  scrollToDate(date: DateInput): void;
+  /** Same as jumpToDate; always rebuilds, even when the week is loaded */
+  scrollToDateForce(date: DateInput): void;
+  /** Show the week containing a date without changing the selection */
+  updateWeekView(date: DateInput): void;
+  /**
+   * Scroll to the next week. Resolves true once that week is in view, false
+   * when the week is past maxDate, a shift is in progress, the scroll
+   * does not bring it into view within 3 seconds or the strip unmounts
+   */
+  goToNextWeek(): Promise<boolean>;
+  /**
+   * Scroll to the previous week. Resolves true once that week is in view, false
+   * when the week is before minDate, a shift is in progress, the scroll
+   * does not bring it into view within 3 seconds or the strip unmounts
+   */
+  goToPreviousWeek(): Promise<boolean>;
+  /** Same as goToNextWeek */
+  getNextWeek(): Promise<boolean>;
+  /** Same as goToPreviousWeek */
+  getPreviousWeek(): Promise<boolean>;
+  /** Open the month grid */
+  expand(): void;
+  /** Collapse to the week strip, on the selected date's week */
+  collapse(): void;
+
+  // Querying
+  /** Week currently shown, or null before the first layout */
+  getVisibleRange(): VisibleRange | null;
+  /** Week on screen; the center of the loaded window before the first scroll */
+  getCurrentWeek(): CalendarWeek | null;
+  /** Loaded weeks */
+  getWeeks(): CalendarWeek[];
+  /** Index of getCurrentWeek() in getWeeks() */
+  getCurrentWeekIndex(): number;
+
+  // Refresh
+  /** Regenerate the loaded weeks and reload function-form markedDates */
+  refresh(): void;
 }
 
 /**
@@ -373,9 +876,18 @@ export default class ReactNativeCalendarStrip extends Component<CalendarStripPro
  * @example
  * // With ref methods
  * const calendarRef = useRef<CalendarStripMethods>(null);
+ * <CalendarStrip ref={calendarRef} />
  * // Later: calendarRef.current?.jumpToDate(new Date());
  */
-declare function CalendarStrip(props: CalendarStripProps): JSX.Element;
+declare const CalendarStrip: ForwardRefExoticComponent<
+  CalendarStripProps & RefAttributes<CalendarStripMethods>
+>;
+
+/**
+ * Register a dayjs locale object so it can be used through the `locale` prop
+ * @returns The registered locale name, or null for invalid input
+ */
+export function registerLocale(name: string, config: Record<string, any>): string | null;
 
 export default CalendarStrip;
 
@@ -2,3 +2,5 @@ const CalendarStrip = require('./src/components/CalendarStrip');
 
 module.exports = CalendarStrip;
 module.exports.CalendarStrip = CalendarStrip;
+module.exports.CalendarController = require('./src/controllers/CalendarController').CalendarController;
+module.exports.registerLocale = require('./src/dayjs').registerLocale;
@@ -6,6 +6,8 @@ class ATFCalendarModule: NSObject {
   // Calendar configuration
   private var useIsoWeek: Bool = false
   private var weekLength: Int = 7
+  // Zone for day boundaries and "today"; set through initialize's timeZone option
+  private var timeZone: TimeZone = TimeZone.current
   
   // Cache for week data
   private var weekCache: [String: [[String: Any]]] = [:]
@@ -20,7 +22,7 @@ class ATFCalendarModule: NSObject {
   private let isoDateOnlyFormatter: DateFormatter = {
     let formatter = DateFormatter()
     formatter.dateFormat = "yyyy-MM-dd"
-    formatter.timeZone = TimeZone(abbreviation: "UTC")
+    formatter.timeZone = TimeZone.current
     formatter.locale = Locale(identifier: "en_US_POSIX")
     return formatter
   }()
@@ -35,6 +37,13 @@ class ATFCalendarModule: NSObject {
       weekLength = weekLengthOption
     }
     
+    if let timeZoneOption = options["timeZone"] as? String, let zone = TimeZone(identifier: timeZoneOption) {
+      timeZone = zone
+    } else {
+      timeZone = TimeZone.current
+    }
+    isoDateOnlyFormatter.timeZone = timeZone
+    
     // Clear cache on initialization
     weekCache.removeAll()
     
@@ -49,7 +58,7 @@ class ATFCalendarModule: NSObject {
     }
     
     var calendar = Calendar.current
-    calendar.timeZone = TimeZone(abbreviation: "UTC")!
+    calendar.timeZone = timeZone
     calendar.firstWeekday = useIsoWeek ? 2 : 1 // 1: Sunday, 2: Monday
     
     // Get the start of the week containing the date
@@ -78,7 +87,7 @@ class ATFCalendarModule: NSObject {
     }
     
     var calendar = Calendar.current
-    calendar.timeZone = TimeZone(abbreviation: "UTC")!
+    calendar.timeZone = timeZone
     
     // Today for comparison
     let today = calendar.startOfDay(for: Date())
@@ -9,6 +9,7 @@ import dayjs from "./dayjs";
 import { Text, View, Animated, Easing, LayoutAnimation, TouchableOpacity } from "react-native";
 import styles from "./Calendar.style.js";
 import { FONT_SIZE_RATIOS } from "./utils/layoutCalculator";
+import { isDateAllowed, getCustomDateStyle } from "./utils/dateRules";
 
 class CalendarDay extends Component {
   static propTypes = {
@@ -183,71 +184,11 @@ class CalendarDay extends Component {
 
   // Check whether date is allowed
   isDateAllowed = (date, datesBlacklist, datesWhitelist) => {
-    // datesBlacklist entries override datesWhitelist
-    if (Array.isArray(datesBlacklist)) {
-      for (let disallowed of datesBlacklist) {
-        // Blacklist start/end object
-        if (disallowed.start && disallowed.end) {
-          if (date.isBetween(disallowed.start, disallowed.end, "day", "[]")) {
-            return false;
-          }
-        } else {
-          if (date.isSame(disallowed, "day")) {
-            return false;
-          }
-        }
-      }
-    } else if (datesBlacklist instanceof Function) {
-      return !datesBlacklist(date);
-    }
-
-    // Whitelist
-    if (Array.isArray(datesWhitelist)) {
-      for (let allowed of datesWhitelist) {
-        // start/end object
-        if (allowed.start && allowed.end) {
-          if (date.isBetween(allowed.start, allowed.end, "day", "[]")) {
-            return true;
-          }
-        } else {
-          if (date.isSame(allowed, "day")) {
-            return true;
-          }
-        }
-      }
-      return false;
-    } else if (datesWhitelist instanceof Function) {
-      return datesWhitelist(date);
-    }
-
-    return true;
+    return isDateAllowed(date, datesBlacklist, datesWhitelist);
   }
 
   getCustomDateStyle = (date, customDatesStyles) => {
-    if (Array.isArray(customDatesStyles)) {
-      for (let customDateStyle of customDatesStyles) {
-        if (customDateStyle.endDate) {
-          // Range
-          if (
-            date.isBetween(
-              customDateStyle.startDate,
-              customDateStyle.endDate,
-              "day",
-              "[]"
-            )
-          ) {
-            return customDateStyle;
-          }
-        } else {
-          // Single date
-          if (date.isSame(customDateStyle.startDate, "day")) {
-            return customDateStyle;
-          }
-        }
-      }
-    } else if (customDatesStyles instanceof Function) {
-      return customDatesStyles(date);
-    }
+    return getCustomDateStyle(date, customDatesStyles);
   }
 
   getDateMarking = (day, markedDates) => {
@@ -17,6 +17,7 @@ class CalendarHeader extends Component {
     ]),
     weekStartDate: PropTypes.object,
     weekEndDate: PropTypes.object,
+    locale: PropTypes.string,
     allowHeaderTextScaling: PropTypes.bool,
     fontSize: PropTypes.number,
     headerText: PropTypes.string,
@@ -34,8 +35,9 @@ class CalendarHeader extends Component {
       return "";
     }
 
-    const firstDay = this.props.weekStartDate;
-    const lastDay = this.props.weekEndDate;
+    const { locale } = this.props;
+    const firstDay = locale ? this.props.weekStartDate.locale(locale) : this.props.weekStartDate;
+    const lastDay = locale ? this.props.weekEndDate.locale(locale) : this.props.weekEndDate;
     let monthFormatting = "";
     //Parsing the month part of the user defined formating
     if ((calendarHeaderFormat.match(/Mo/g) || []).length > 0) {
@@ -0,0 +1,95 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+import { Image, TouchableOpacity } from "react-native";
+
+import styles from "./Calendar.style.js";
+
+// Previous/next week arrow button shown on either side of the strip
+class WeekSelector extends Component {
+  static propTypes = {
+    disabled: PropTypes.bool,
+    disabledOpacity: PropTypes.number,
+    iconComponent: PropTypes.any,
+    iconContainerStyle: PropTypes.oneOfType([
+      PropTypes.object,
+      PropTypes.number,
+      PropTypes.array
+    ]),
+    iconInstanceStyle: PropTypes.oneOfType([
+      PropTypes.object,
+      PropTypes.number,
+      PropTypes.array
+    ]),
+    iconStyle: PropTypes.oneOfType([
+      PropTypes.object,
+      PropTypes.number,
+      PropTypes.array
+    ]),
+    imageSource: PropTypes.oneOfType([PropTypes.object, PropTypes.number]),
+    size: PropTypes.number,
+    onPress: PropTypes.func,
+    accessibilityLabel: PropTypes.string,
+    testID: PropTypes.string,
+  };
+
+  static defaultProps = {
+    disabled: false,
+    disabledOpacity: 0.3,
+    size: 20,
+  };
+
+  render() {
+    const {
+      disabled,
+      disabledOpacity,
+      iconComponent,
+      iconContainerStyle,
+      iconInstanceStyle,
+      iconStyle,
+      imageSource,
+      size,
+      onPress,
+      accessibilityLabel,
+      testID,
+    } = this.props;
+    const opacity = { opacity: disabled ? disabledOpacity : 1 };
+
+    let component;
+    if (React.isValidElement(iconComponent)) {
+      component = React.cloneElement(iconComponent, {
+        style: [iconComponent.props.style, opacity]
+      });
+    } else if (iconComponent) {
+      component = iconComponent;
+    } else {
+      component = (
+        <Image
+          style={[
+            styles.icon,
+            { width: size, height: size },
+            iconStyle,
+            iconInstanceStyle,
+            opacity
+          ]}
+          source={imageSource}
+        />
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        style={[styles.iconContainer, iconContainerStyle]}
+        onPress={onPress}
+        disabled={disabled || !onPress}
+        accessibilityRole="button"
+        accessibilityLabel={accessibilityLabel}
+        accessibilityState={{ disabled: !!disabled }}
+        testID={testID}
+      >
+        {component}
+      </TouchableOpacity>
+    );
+  }
+}
+
+export default WeekSelector;
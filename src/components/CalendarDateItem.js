@@ -2,6 +2,7 @@ import React, { memo, useMemo } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import PropTypes from 'prop-types';
 import dayjs from '../dayjs';
+import { toDayjs } from '../utils/dateInput';
 
 
 /**
@@ -11,6 +12,7 @@ import dayjs from '../dayjs';
  */
 const CalendarDateItem = memo(({ isActive, 
   date,
+  locale,
   dateNumber,
   dayName,
   isToday,
@@ -28,37 +30,54 @@ const CalendarDateItem = memo(({ isActive,
   allowDayTextScaling,
   dayComponent,
   onDateSelected,
-  markedDates,
+  marking,
   markedDatesStyle,
   markerComponent,
+  maxDots,
+  dotOverflowTextStyle,
   dayContainerStyle,
   highlightColor,
   calendarColor,
   styleWeekend,
-  isDisabled
+  isDisabled,
+  isInRange,
+  isRangeStart,
+  isRangeEnd,
+  rangeColor,
+  rangeDayContainerStyle,
+  customStyle
 }) => {
   
-  // Cache parsed date for performance
-  const dateObj = dayjs(date);
   const active = isActive;
   // Generate accessibility label for the date
-  const accessibilityLabel = dateObj.format('dddd, MMMM D, YYYY');
+  const accessibilityLabel = useMemo(() => {
+    const day = toDayjs(date, 'CalendarDateItem date');
+    const d = locale ? day.locale(locale) : day;
+    return d.format('dddd, LL');
+  }, [date, locale]);
   
-  // --- Detect if this date is marked (memoized) -------------------------
-  const hasMarker = useMemo(() => {
-    if (!markedDates) return null;
-    return markedDates.find(m => {
-      // Accept raw string/Date/Dayjs, or object with `.date`
-      let d;
-      if (typeof m === 'string' || m instanceof Date || dayjs.isDayjs(m)) {
-        d = m;
-      } else if (m && 'date' in m) {
-        d = m.date;
-      }
-      return d ? dayjs(d).isSame(dateObj, 'day') : false;
-    });
-  }, [markedDates, dateObj]);
+  // Marking for this date, looked up by CalendarStrip
+  const hasMarker = marking || null;
   
+  // --- Normalise the marking into dots / lines ----------------------------
+  const markers = useMemo(() => {
+    if (!hasMarker) return null;
+    // Raw date entries get a single default dot
+    if (typeof hasMarker !== 'object' || hasMarker instanceof Date || dayjs.isDayjs(hasMarker)) {
+      return { dots: [{ color: DEFAULT_MARKER_COLOR }], lines: [] };
+    }
+    const lines = Array.isArray(hasMarker.lines)
+      ? hasMarker.lines.filter(l => l && l.color)
+      : [];
+    let dots = Array.isArray(hasMarker.dots)
+      ? hasMarker.dots.filter(d => d && d.color)
+      : [];
+    if (!dots.length && !lines.length) {
+      dots = [{ color: hasMarker.color || DEFAULT_MARKER_COLOR, selectedColor: hasMarker.selectedColor }];
+    }
+    return { dots, lines };
+  }, [hasMarker]);
+
   // Apply custom styling for weekend if enabled
   const isStyledWeekend = styleWeekend && isWeekend;
 
@@ -73,21 +92,35 @@ const CalendarDateItem = memo(({ isActive,
     ...(calendarColor
       ? [{ backgroundColor: active ? highlightColor : calendarColor }]
       : []),
+    // Per-date custom style; the highlight keeps priority on the active day
+    customStyle && !active ? customStyle.dateContainerStyle : null,
+    // Days between range start and end sit on top of the calendar colour
+    ...(isInRange && !active
+      ? [
+        styles.inRangeDate,
+        { backgroundColor: rangeColor || styles.inRangeDate.backgroundColor },
+        rangeDayContainerStyle,
+      ]
+      : []),
   ];
   
   const dayStyle = [
     styles.dayText,
     dateNameStyle,
-    active ? highlightDateNameStyle : null,
     isStyledWeekend && !active ? { color: '#999' } : null,
+    customStyle ? customStyle.dateNameStyle : null,
+    active ? highlightDateNameStyle : null,
+    active && customStyle ? customStyle.highlightDateNameStyle : null,
     isDisabled ? { opacity: disabledDateOpacity } : null
   ];
   
   const dateStyle = [
     styles.dateText,
     dateNumberStyle,
-    active ? highlightDateNumberStyle : null,
     isStyledWeekend && !active ? { color: '#999' } : null,
+    customStyle ? customStyle.dateNumberStyle : null,
+    active ? highlightDateNumberStyle : null,
+    active && customStyle ? customStyle.highlightDateNumberStyle : null,
     isDisabled ? { opacity: disabledDateOpacity } : null
   ];
   
@@ -99,6 +132,10 @@ const CalendarDateItem = memo(({ isActive,
       isToday,
       isWeekend,
       isDisabled,
+      isInRange,
+      isRangeStart,
+      isRangeEnd,
+      customStyle,
       markedDate: hasMarker,
       onDateSelected: () => isDisabled ? null : onDateSelected(date)
     });
@@ -112,6 +149,7 @@ const CalendarDateItem = memo(({ isActive,
       disabled={isDisabled}
       accessibilityLabel={accessibilityLabel}
       accessibilityRole="button"
+      accessibilityState={{ disabled: !!isDisabled }}
     >
       <View style={styles.dateWrapper}>
         {showDayName && (
@@ -147,27 +185,68 @@ const CalendarDateItem = memo(({ isActive,
         {hasMarker && markerComponent ? (
           markerComponent(hasMarker)
         ) : (
-          hasMarker && (
+          markers && renderMarkers(markers, active, maxDots, markedDatesStyle, dotOverflowTextStyle)
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+});
+
+const DEFAULT_MARKER_COLOR = '#4296F0';
+
+/**
+ * Marker colour for the current selection state.
+ * `selectedDotColor` is the deprecated legacy name of `selectedColor`.
+ */
+const markerColor = (marker, active) => {
+  const selectedColor = marker.selectedColor || marker.selectedDotColor;
+  return active && selectedColor ? selectedColor : marker.color;
+};
+
+/**
+ * Render the dots and lines of a marking. Dots beyond `maxDots` are
+ * collapsed into a "+N" label.
+ */
+const renderMarkers = (markers, active, maxDots, markedDatesStyle, dotOverflowTextStyle) => {
+  const { dots, lines } = markers;
+  const visibleDots = maxDots > 0 ? dots.slice(0, maxDots) : dots;
+  const overflow = dots.length - visibleDots.length;
+
+  return (
+    <View style={styles.markersContainer}>
+      {visibleDots.length > 0 && (
+        <View style={styles.dotsContainer}>
+          {visibleDots.map((dot, index) => (
             <View
+              key={dot.key || index}
               style={[
                 styles.marker,
-                {
-                  backgroundColor:
-                    typeof hasMarker === 'object' && hasMarker?.dots?.[0]?.color
-                      ? hasMarker.dots[0].color
-                      : (typeof hasMarker === 'object' && hasMarker.color)
-                        ? hasMarker.color
-                        : '#4296F0',
-                },
+                visibleDots.length > 1 ? styles.multiDot : null,
+                { backgroundColor: markerColor(dot, active) },
                 markedDatesStyle,
               ]}
             />
-          )
-        )}
-      </View>
-    </TouchableOpacity>
+          ))}
+          {overflow > 0 && (
+            <Text style={[styles.dotOverflowText, dotOverflowTextStyle]}>
+              {`+${overflow}`}
+            </Text>
+          )}
+        </View>
+      )}
+      {lines.map((line, index) => (
+        <View
+          key={line.key || index}
+          style={[
+            styles.line,
+            { backgroundColor: markerColor(line, active) },
+            markedDatesStyle,
+          ]}
+        />
+      ))}
+    </View>
   );
-});
+};
 
 const styles = StyleSheet.create({
   dateContainer: {
@@ -180,6 +259,10 @@ const styles = StyleSheet.create({
     backgroundColor: '#E6F0FB',
     borderRadius: 8,
   },
+  inRangeDate: {
+    backgroundColor: '#E6F0FB',
+    borderRadius: 0,
+  },
   dateWrapper: {
     justifyContent: 'center',
     alignItems: 'center',
@@ -202,11 +285,42 @@ const styles = StyleSheet.create({
     borderRadius: 3,
     marginTop: 2,
   },
+  markersContainer: {
+    alignItems: 'center',
+    alignSelf: 'stretch',
+  },
+  dotsContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  multiDot: {
+    marginHorizontal: 1,
+  },
+  dotOverflowText: {
+    fontSize: 8,
+    marginTop: 2,
+    marginLeft: 1,
+    color: '#666666',
+  },
+  line: {
+    width: '60%',
+    height: 3,
+    borderRadius: 1,
+    marginTop: 2,
+  },
 });
 
 CalendarDateItem.propTypes = {
   // Accept JavaScript Date, dayjs object, or ISO date string
-  date: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.object, PropTypes.string]).isRequired,
+  date: PropTypes.oneOfType([
+    PropTypes.instanceOf(Date),
+    PropTypes.object,
+    PropTypes.string,
+    PropTypes.number
+  ]).isRequired,
+  // Registered dayjs locale used for the accessibility label
+  locale: PropTypes.string,
   dateNumber: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
   dayName: PropTypes.string.isRequired,
   isToday: PropTypes.bool,
@@ -224,15 +338,29 @@ CalendarDateItem.propTypes = {
   allowDayTextScaling: PropTypes.bool,
   dayComponent: PropTypes.func,
   onDateSelected: PropTypes.func.isRequired,
-  // Accept array of objects or array of raw date strings / Date objects
-  markedDates: PropTypes.array,
+  // Marking for this date: raw date or `{ date, dots, lines }` object
+  marking: PropTypes.oneOfType([
+    PropTypes.object,
+    PropTypes.string,
+    PropTypes.instanceOf(Date)
+  ]),
   markedDatesStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
   markerComponent: PropTypes.func,
+  // Maximum dots drawn before collapsing the rest into "+N" (0 = no limit)
+  maxDots: PropTypes.number,
+  dotOverflowTextStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
   dayContainerStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
   highlightColor: PropTypes.string,
   calendarColor: PropTypes.string,
   styleWeekend: PropTypes.bool,
   isDisabled: PropTypes.bool,
+  isInRange: PropTypes.bool,
+  isRangeStart: PropTypes.bool,
+  isRangeEnd: PropTypes.bool,
+  rangeColor: PropTypes.string,
+  rangeDayContainerStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+  // Entry from customDatesStyles matching this date
+  customStyle: PropTypes.object,
   isActive: PropTypes.bool.isRequired
 };
 
@@ -243,7 +371,12 @@ CalendarDateItem.defaultProps = {
   showDayNumber: true,
   activeOpacity: 0.6,
   disabledDateOpacity: 0.3,
-  allowDayTextScaling: true
+  allowDayTextScaling: true,
+  maxDots: 3,
+  isDisabled: false,
+  isInRange: false,
+  isRangeStart: false,
+  isRangeEnd: false
 };
 
 // Set displayName property to fix ESLint warning
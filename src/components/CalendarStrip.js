@@ -10,15 +10,18 @@ import React, {
 import PropTypes from 'prop-types';
 import {
   View,
+  Text,
   StyleSheet,
   FlatList,
   Dimensions,
   Platform,
   LayoutAnimation,
+  PanResponder,
   UIManager,
-  InteractionManager
+  InteractionManager,
+  AppState
 } from 'react-native';
-import dayjs from '../dayjs';
+import dayjs, { loadLocale } from '../dayjs';
 
 
 // Initialize dayjs plugins
@@ -26,8 +29,14 @@ import dayjs from '../dayjs';
 
 // Components
 import CalendarHeader from '../CalendarHeader';
-import CalendarDateItem from './CalendarDateItem';
+import WeekSelector from '../WeekSelector';
+import CalendarController from '../controllers/CalendarController';
+import { getCustomDateStyle } from '../utils/dateRules';
 import logger from '../utils/logger';
+import { normalizeDate } from '../utils/dateInput';
+import { buildMarkedDatesIndex, toDateKey } from '../utils/markedDates';
+import { fromCalendarDay, getToday, resolveTimeZone, toCalendarDay } from '../utils/timeZone';
+import CalendarDateItem from './CalendarDateItem';
 
 
 // Enable LayoutAnimation on Android
@@ -35,6 +44,18 @@ if (Platform.OS === 'android' && UIManager.setLayoutAnimationEnabledExperimental
   UIManager.setLayoutAnimationEnabledExperimental(true);
 }
 
+// Vertical drag distance on the expand handle that switches week/month mode
+const EXPAND_DRAG_THRESHOLD = 20;
+
+// Fallback for paging Promises whose target week never comes into view (a
+// scroll that was interrupted or never started). Well above the length of a
+// page animation so that slow devices still settle with true.
+const PAGE_SETTLE_TIMEOUT = 3000;
+
+// Longest single wait while counting down to midnight. Android warns about
+// timers longer than a minute, so the rollover re-checks at least this often.
+const ROLLOVER_CHECK_INTERVAL = 60 * 1000;
+
 /**
  * CalendarStrip Component - Carousel Pattern
  * Fixed 5-week window with center-focused infinite scrolling
@@ -42,15 +63,29 @@ if (Platform.OS === 'android' && UIManager.setLayoutAnimationEnabledExperimental
 const CalendarStrip = forwardRef(function CalendarStrip({
   debug = false,
   // Calendar configuration
-  selectedDate,
-  startingDate,
-  minDate,
-  maxDate,
+  selectedDate: selectedDateInput,
+  defaultSelectedDate: defaultSelectedDateInput,
+  startingDate: startingDateInput,
+  minDate: minDateInput,
+  maxDate: maxDateInput,
+  boundsPolicy,
+  timeZone,
+  datesBlacklist,
+  datesWhitelist,
   useIsoWeekday,
+  firstDayOfWeek,
   numDaysInWeek = 7,
   scrollable,
   scrollerPaging,
+  scrollMode,
+  horizontal,
+  weekHeight,
+  mode,
+  expandable,
   weekBuffer = 3,
+  selectionMode,
+  selectedDates,
+  maxSelections,
   useFlashList = true,
   flashListEstimatedItemSize,
   
@@ -59,6 +94,8 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   calendarHeaderFormat,
   calendarHeaderPosition,
   calendarHeaderStyle,
+  renderHeader,
+  locale,
   
   // Styling
   style,
@@ -70,19 +107,34 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   highlightDateNameStyle,
   highlightDateNumberStyle,
   dayContainerStyle,
+  customDatesStyles,
   disabledDateOpacity,
   styleWeekend,
+  rangeColor,
+  rangeDayContainerStyle,
+  expandHandleStyle,
+  weekNumberStyle,
   
   // Display options
   showDayName,
   showDayNumber,
+  showWeekNumbers,
+  showWeekSelectors,
   upperCaseDays,
   allowDayTextScaling,
   
   // Events and callbacks
+  onBeforeDateSelected,
   onDateSelected,
+  onRangeSelected,
+  onSelectedDatesChange,
   onWeekChanged,
+  onWeekScrollStart,
+  onWeekScrollEnd,
+  onBoundaryReached,
   onHeaderSelected,
+  onModeChange,
+  onTodayChanged,
   updateMonthYear,
   onRenderComplete,
   
@@ -90,15 +142,23 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   dayComponent,
   leftSelector,
   rightSelector,
+  iconLeft,
+  iconRight,
+  iconStyle,
+  iconLeftStyle,
+  iconRightStyle,
+  iconContainer,
   
   // Markers
   markedDates,
   markedDatesStyle,
   markerComponent,
+  maxDots,
+  dotOverflowTextStyle,
   
-  // Reference
+  // Reference (deprecated alias of `ref`)
   calendarRef
-}) {
+}, ref) {
   // Carousel constants - dynamic window based on weekBuffer
   // When 스크롤이 비활성화(non-scrollable)인 경우에는 주(week)가 한 개만 렌더되므로
   // WINDOW_SIZE와 CENTER_INDEX를 1, 0으로 고정한다. 그렇지 않으면
@@ -111,6 +171,19 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   // Shift an entire "buffer" worth of weeks for more aggressive preloading.
   const SHIFT_SIZE = Math.max(1, weekBuffer);
 
+  // scrollMode="day" renders the same week window as one continuous day list
+  // snapping to single days. Every week still spans exactly one content width,
+  // so week offsets, edge shifts and compensation work unchanged.
+  const isDayMode = scrollable && horizontal && scrollMode === 'day';
+
+  // horizontal={false} stacks the week window vertically. Rows have a fixed
+  // `weekHeight`, which takes the place of the content width as page size.
+  const isVertical = scrollable && !horizontal;
+  const toItemIndex = useCallback(
+    weekIndex => (isDayMode ? weekIndex * numDaysInWeek : weekIndex),
+    [isDayMode, numDaysInWeek]
+  );
+
   const ListComponent = useMemo(() => {
     if (useFlashList) {
       try {
@@ -129,119 +202,287 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   const didInitialCenterRef = useRef(false);
   // Track the currently visible week to avoid redundant callbacks
   const currentWeekRef = useRef('');
+  // Visible week (or day range in day mode) shown by the header
+  const [visibleWeek, setVisibleWeek] = useState(null);
   // Skip onWeekChanged on initial render
   const skipInitialRef = useRef(true);
 
-  // Helper to programmatically re-center the list to CENTER_INDEX
+  // Index of the week the current window was built around. It is
+  // CENTER_INDEX unless minDate/maxDate cut the window short on one side.
+  const centerIndexRef = useRef(CENTER_INDEX);
+
+  // Helper to programmatically re-center the list on that week
   const reCenter = useCallback(() => {
     if (flatListRef.current) {
-      flatListRef.current.scrollToIndex({ index: CENTER_INDEX, animated: scrollerPaging });
+      flatListRef.current.scrollToIndex({ index: toItemIndex(centerIndexRef.current), animated: scrollerPaging });
     }
-  }, [scrollerPaging, CENTER_INDEX]);
+  }, [scrollerPaging, toItemIndex]);
 
-  // Cache previously generated weeks to avoid regeneration when buffer is large
-  const weekCacheRef = useRef(new Map());
+  // Date props may be Date, Dayjs, epoch ms or ISO strings. Invalid values
+  // warn and are treated as unset: no selection or bound, today to start at.
+  const selectedDate = useMemo(
+    () => normalizeDate(selectedDateInput, 'selectedDate'),
+    [selectedDateInput]
+  );
+  const defaultSelectedDate = useMemo(
+    () => normalizeDate(defaultSelectedDateInput, 'defaultSelectedDate'),
+    [defaultSelectedDateInput]
+  );
+  const startingDate = useMemo(
+    () => normalizeDate(startingDateInput, 'startingDate'),
+    [startingDateInput]
+  );
+  const minDate = useMemo(() => normalizeDate(minDateInput, 'minDate'), [minDateInput]);
+  const maxDate = useMemo(() => normalizeDate(maxDateInput, 'maxDate'), [maxDateInput]);
+
+  // Registered dayjs locale name (null keeps the global locale)
+  const resolvedLocale = useMemo(() => loadLocale(locale), [locale]);
+
+  // Days are device-local midnights internally. Dates coming in are mapped
+  // onto the day they fall on in `timeZone`; dates handed to callbacks are
+  // the start of that day in `timeZone`.
+  const zone = useMemo(() => resolveTimeZone(timeZone), [timeZone]);
+  const toDay = useCallback(date => toCalendarDay(date, zone), [zone]);
+  const toCallbackDate = useCallback(day => fromCalendarDay(day, zone), [zone]);
+
+  // Headless controller owns week generation, caching and min/max clamping
+  const controllerRef = useRef(null);
+  if (!controllerRef.current) {
+    controllerRef.current = new CalendarController({
+      initialDate: selectedDate || defaultSelectedDate || startingDate,
+      useIsoWeekday,
+      firstDayOfWeek,
+      numDaysInWeek,
+      locale: resolvedLocale || undefined,
+      timeZone: zone,
+      minDate,
+      maxDate,
+      boundsPolicy,
+      datesBlacklist,
+      datesWhitelist,
+      weekBuffer: WINDOW_SIZE,
+    });
+  }
+  // Weeks are generated while rendering, so the options are synced in a memo
+  // rather than an effect; it only runs when one of them changes.
+  const controller = useMemo(() => {
+    controllerRef.current.setOptions({
+      useIsoWeekday,
+      firstDayOfWeek,
+      numDaysInWeek,
+      locale: resolvedLocale || undefined,
+      timeZone: zone,
+      minDate,
+      maxDate,
+      boundsPolicy,
+      datesBlacklist,
+      datesWhitelist,
+      weekBuffer: WINDOW_SIZE,
+    });
+    return controllerRef.current;
+  }, [
+    useIsoWeekday,
+    firstDayOfWeek,
+    numDaysInWeek,
+    resolvedLocale,
+    zone,
+    minDate,
+    maxDate,
+    boundsPolicy,
+    datesBlacklist,
+    datesWhitelist,
+    WINDOW_SIZE,
+  ]);
 
-  // Week generation utility
-  const generateWeek = useCallback((startDate) => {
-    const start = dayjs(startDate);
-    const today = dayjs();
-    const days = [];
-    
-    for (let i = 0; i < numDaysInWeek; i++) {
-      const d = start.add(i, 'day');
-      const epoch = d.valueOf();
-      const dayName = d.format('ddd');
-      days.push({
-        // store lightweight Date object (or epoch) instead of full dayjs instance
-        date: new Date(epoch),
-        epoch,
-        dateString: dayName ? `${d.format('YYYY-MM-DD')}` : '',
-        dayName,
-        dayNameUpper: dayName.toUpperCase(),
-        dayOfWeek: d.day(),
-        dayOfMonth: d.date(),
-        month: d.month(),
-        year: d.year(),
-        isToday: d.isSame(today, 'day'),
-        isCurrentMonth: d.month() === today.month() && d.year() === today.year(),
-      });
+  // Option values are listed as deps so memoized consumers refresh when the
+  // controller's week shape changes.
+  const getWeekStart = useCallback(
+    (date) => controller.getWeekStart(date),
+    [controller, useIsoWeekday, firstDayOfWeek]
+  );
+
+  // Function-form markedDates(weekStart, weekEnd) results, cached per week id.
+  // Entries are `{ pending: true }` until a returned Promise settles, then
+  // `{ index }` holding that week's markings keyed by date.
+  const weekMarkingsRef = useRef(new Map());
+  const [weekMarkingsVersion, setWeekMarkingsVersion] = useState(0);
+  const markedDatesRef = useRef(markedDates);
+  markedDatesRef.current = markedDates;
+
+  const loadWeekMarkings = useCallback((week) => {
+    const loader = markedDatesRef.current;
+    if (typeof loader !== 'function' || !week || weekMarkingsRef.current.has(week.id)) {
+      return;
     }
-    
-    return {
-      // keep Dayjs objects to avoid implicit timezone shifts when serialized
-      startDate: start.clone(),
-      endDate: start.add(numDaysInWeek - 1, 'day').clone(),
-      days,
-    };
-  }, [numDaysInWeek]);
 
-  const getWeekStart = useCallback((date) => {
-    const d = dayjs(date);
-    return useIsoWeekday ? d.startOf('isoWeek') : d.startOf('week');
-  }, [useIsoWeekday]);
+    let result;
+    try {
+      result = loader(toCallbackDate(week.startDate), toCallbackDate(week.endDate));
+    } catch (error) {
+      logger.debug('[WARN] markedDates loader failed', error);
+      return;
+    }
+
+    if (!result || typeof result.then !== 'function') {
+      weekMarkingsRef.current.set(week.id, { index: buildMarkedDatesIndex(result, zone) });
+      return;
+    }
+
+    const entry = { pending: true };
+    weekMarkingsRef.current.set(week.id, entry);
+    result.then(
+      markings => {
+        // Ignore results for a cache that has been reset meanwhile
+        if (weekMarkingsRef.current.get(week.id) !== entry) return;
+        weekMarkingsRef.current.set(week.id, { index: buildMarkedDatesIndex(markings, zone) });
+        setWeekMarkingsVersion(v => v + 1);
+      },
+      error => {
+        if (weekMarkingsRef.current.get(week.id) === entry) {
+          weekMarkingsRef.current.delete(week.id);
+        }
+        logger.debug('[WARN] markedDates loader failed', error);
+      }
+    );
+  }, [toCallbackDate, zone]);
 
   // Retrieve a week from cache or generate and store it
   const getCachedWeek = useCallback(
     (startDate) => {
-      const key = dayjs(startDate).startOf('day').format('YYYY-MM-DD');
-      const cached = weekCacheRef.current.get(key);
-      if (cached) {
-        return cached;
-      }
-      const week = generateWeek(startDate);
-      weekCacheRef.current.set(key, week);
+      const week = controller.getWeek(startDate);
+      loadWeekMarkings(week);
       return week;
     },
-    [generateWeek]
+    [controller, loadWeekMarkings, useIsoWeekday, firstDayOfWeek, numDaysInWeek, resolvedLocale, zone]
   );
 
-  // Initialize carousel window
-  const initCarousel = useCallback(() => {
-    const currentDate = selectedDate || startingDate || new Date();
+  // Build the carousel window `{ weeks, centerIndex }` around a date. The
+  // controller clamps the date into minDate/maxDate and stops the window at
+  // the bounds.
+  const initCarousel = useCallback((centerDate) => {
+    const initialDate = selectedDate || defaultSelectedDate || startingDate;
+    const currentDate = centerDate || (initialDate ? toDay(initialDate) : getToday(zone));
 
     // Clear cache when rebuilding the carousel to avoid stale weeks
-    weekCacheRef.current.clear();
+    controller.clearCache();
+    weekMarkingsRef.current.clear();
 
-    const weekStart = getWeekStart(currentDate);
-
-    const weeks = [];
-
-    if (!scrollable) {
-      // Only generate the current week when not scrollable
-      const week = getCachedWeek(weekStart);
-      weeks.push(week);
-    } else {
-      // Generate window of weeks around the active date
-      for (let i = -weekBuffer; i <= weekBuffer; i++) {
-        const start = weekStart.add(i * numDaysInWeek, 'day');
-        const week = getCachedWeek(start);
-        weeks.push(week);
-      }
-    }
-
-    return weeks;
+    const weekWindow = controller.getWeekWindow(currentDate, WINDOW_SIZE);
+    weekWindow.weeks.forEach(loadWeekMarkings);
+    return weekWindow;
   }, [
+    controller,
     selectedDate,
+    defaultSelectedDate,
     startingDate,
-    getWeekStart,
-    getCachedWeek,
-    numDaysInWeek,
-    weekBuffer,
+    toDay,
+    zone,
+    loadWeekMarkings,
+    WINDOW_SIZE,
   ]);
 
   // State - Fixed carousel window
-  const [weeks, setWeeks] = useState(() => {
-    return initCarousel();
+  const [initialWindow] = useState(initCarousel);
+  const [weeks, setWeeks] = useState(initialWindow.weeks);
+  const [centerIndex, setCenterIndex] = useState(() => {
+    centerIndexRef.current = initialWindow.centerIndex;
+    return initialWindow.centerIndex;
   });
 
+  // Show a freshly built window and re-centre the list on its centre week
+  const applyWindow = useCallback(weekWindow => {
+    didInitialCenterRef.current = false; // allow next layout effect to recenter
+    centerIndexRef.current = weekWindow.centerIndex;
+    setCenterIndex(weekWindow.centerIndex);
+    setWeeks(weekWindow.weeks);
+    // Ensure re-center after new data applied (next frame)
+    InteractionManager.runAfterInteractions(reCenter);
+  }, [reCenter]);
+  // Window of the latest render. Shifts size their compensation from it up
+  // front: a batched setWeeks updater only runs at the next render.
+  const weeksRef = useRef(weeks);
+  weeksRef.current = weeks;
+
+  // Today as YYYY-MM-DD. Cached weeks carry their own isToday flags, so it is
+  // re-checked at midnight and whenever the app returns to the foreground.
+  const [todayKey, setTodayKey] = useState(() => toDateKey(getToday(zone)));
+  const todayKeyRef = useRef(todayKey);
+  const onTodayChangedRef = useRef(onTodayChanged);
+  onTodayChangedRef.current = onTodayChanged;
+
+  const checkToday = useCallback(() => {
+    const today = getToday(zone);
+    const key = toDateKey(today);
+    if (key === todayKeyRef.current) {
+      return;
+    }
+    todayKeyRef.current = key;
+    controller.clearCache();
+    setTodayKey(key);
+    if (onTodayChangedRef.current) {
+      onTodayChangedRef.current(toCallbackDate(today), key);
+    }
+  }, [controller, zone, toCallbackDate]);
+
+  // Timers may fire late (or not at all while suspended), so each run
+  // re-checks the date and waits again, a minute at most, until midnight
+  useEffect(() => {
+    let timer;
+    const scheduleRollover = () => {
+      const nextMidnight = toCallbackDate(dayjs(todayKeyRef.current).add(1, 'day'));
+      const untilMidnight = Math.max(0, nextMidnight.valueOf() - Date.now()) + 1000;
+      timer = setTimeout(() => {
+        checkToday();
+        scheduleRollover();
+      }, Math.min(untilMidnight, ROLLOVER_CHECK_INTERVAL));
+    };
+    checkToday();
+    scheduleRollover();
+    return () => clearTimeout(timer);
+  }, [checkToday, toCallbackDate]);
+
+  useEffect(() => {
+    const handleAppStateChange = state => {
+      if (state === 'active') {
+        checkToday();
+      }
+    };
+    const subscription = AppState.addEventListener('change', handleAppStateChange);
+    return () => {
+      if (subscription && subscription.remove) {
+        subscription.remove();
+      } else {
+        AppState.removeEventListener('change', handleAppStateChange);
+      }
+    };
+  }, [checkToday]);
+
+  // Rebuild the current window in place when day names or "today" change, so
+  // the new labels show without scrolling. The controller's week cache has
+  // already been cleared by then.
+  const weekLabelsKey = `${resolvedLocale}|${zone}|${todayKey}`;
+  const weekLabelsKeyRef = useRef(weekLabelsKey);
+  useEffect(() => {
+    if (weekLabelsKeyRef.current === weekLabelsKey) {
+      return;
+    }
+    weekLabelsKeyRef.current = weekLabelsKey;
+    setWeeks(current => current.map(week => getCachedWeek(week.startDate)));
+  }, [weekLabelsKey, getCachedWeek]);
+
+  // Items handed to the list: weeks, or their days flattened in day mode
+  const listData = useMemo(
+    () => (isDayMode ? weeks.flatMap(week => week.days.filter(Boolean)) : weeks),
+    [isDayMode, weeks]
+  );
+
   useEffect(() => {
     if (isShiftingRef.current) {
       // Ignore interim week array changes triggered by shift; the correct week
       // will be emitted via onViewableItemsChanged after scrolling settles.
       return;
     }
-    const centerWeek = weeks[CENTER_INDEX];
+    const centerWeek = weeks[centerIndex];
 
     if (centerWeek) {
       const weekKey = `${dayjs(centerWeek.startDate).format('YYYY-MM-DD')}_${dayjs(centerWeek.endDate).format('YYYY-MM-DD')}`;
@@ -249,10 +490,17 @@ const CalendarStrip = forwardRef(function CalendarStrip({
       // Invoke callback only if week actually changed and skip initial mount
       if (currentWeekRef.current !== weekKey) {
         if (!skipInitialRef.current && onWeekChanged) {
-          onWeekChanged(dayjs(centerWeek.startDate), dayjs(centerWeek.endDate));
+          onWeekChanged(
+            toCallbackDate(centerWeek.startDate),
+            toCallbackDate(centerWeek.endDate),
+            { startDate: toDateKey(centerWeek.startDate), endDate: toDateKey(centerWeek.endDate) }
+          );
         }
         currentWeekRef.current = weekKey;
         skipInitialRef.current = false;
+        // Show the centre week again; a no-op (and no re-render) when the
+        // header already falls back to it
+        setVisibleWeek(null);
       }
     }
 
@@ -265,12 +513,49 @@ const CalendarStrip = forwardRef(function CalendarStrip({
       const year = middleDate.format('YYYY');
       updateMonthYear(month, year);
     }
-  }, [weeks, onWeekChanged, updateMonthYear, numDaysInWeek]);
+  }, [weeks, centerIndex, onWeekChanged, updateMonthYear, numDaysInWeek, toCallbackDate]);
   
-  const [activeDate, setActiveDate] = useState(() => {
-    const date = selectedDate || startingDate || new Date();
-    return date;
+  // Single selection is controlled while `selectedDate` is set: taps only
+  // report through onDateSelected and the highlight follows the prop.
+  // Otherwise it starts at `defaultSelectedDate` and is kept internally.
+  const isSelectionControlled = selectedDate != null;
+  const selectedDateKey = isSelectionControlled ? toDateKey(selectedDate, zone) : null;
+  const [internalActiveDate, setActiveDate] = useState(() => {
+    const date = selectedDate || defaultSelectedDate || startingDate;
+    return date ? toDay(date) : getToday(zone);
   });
+  const activeDate = useMemo(
+    () => (isSelectionControlled ? dayjs(selectedDateKey) : internalActiveDate),
+    [isSelectionControlled, selectedDateKey, internalActiveDate]
+  );
+  // Day cells carry start-of-day epochs; compare selection against the same
+  const activeEpoch = useMemo(
+    () => dayjs(activeDate).startOf('day').valueOf(),
+    [activeDate]
+  );
+  // Range selection is kept as start-of-day epochs, independent of the week
+  // window, so it survives scrolling and shiftLeft/shiftRight rebuilds.
+  const [selectedRange, setSelectedRange] = useState({ start: null, end: null });
+  // Multi-date selection: controlled through `selectedDates` when provided,
+  // otherwise kept internally.
+  const [internalSelectedDates, setInternalSelectedDates] = useState([]);
+  const isSelectedDatesControlled = selectedDates !== undefined;
+  const currentSelectedDates = isSelectedDatesControlled ? selectedDates : internalSelectedDates;
+
+  // Start-of-day epochs of every highlighted day for the current selectionMode
+  const selectedEpochs = useMemo(() => {
+    if (selectionMode === 'multiple') {
+      return new Set(
+        (currentSelectedDates || []).map(d => toDay(d).startOf('day').valueOf())
+      );
+    }
+    if (selectionMode === 'range') {
+      return new Set(
+        [selectedRange.start, selectedRange.end].filter(epoch => epoch !== null)
+      );
+    }
+    return new Set([activeEpoch]);
+  }, [selectionMode, currentSelectedDates, selectedRange, activeEpoch, toDay]);
   const [viewWidth, setViewWidth] = useState(Dimensions.get('window').width);
   const [leftWidth, setLeftWidth] = useState(0);
   const [rightWidth, setRightWidth] = useState(0);
@@ -280,42 +565,125 @@ const CalendarStrip = forwardRef(function CalendarStrip({
       : Date.now()
   );
 
-  // Handle selectedDate changes
-  useEffect(() => {
-    
-    if (selectedDate && !dayjs(selectedDate).isSame(dayjs(activeDate), 'day')) {
-      setActiveDate(selectedDate);
-      
-      // Check if selectedDate is in current window
-      const targetWeekStart = getWeekStart(selectedDate);
-      
-      const isInWindow = weeks.some(week => {
-        const weekStart = getWeekStart(week.startDate);
-        const match = weekStart.isSame(targetWeekStart, 'day');
-        return match;
+  // Bring the week containing `date` into view: scroll to it when it is in
+  // the current window, otherwise rebuild the window around it
+  const showWeekOf = useCallback((date) => {
+    const targetWeekStart = getWeekStart(date);
+    const targetIdx = weeks.findIndex(week =>
+      getWeekStart(week.startDate).isSame(targetWeekStart, 'day')
+    );
+
+    if (targetIdx === -1) {
+      applyWindow(initCarousel(date));
+    } else if (scrollable) {
+      // Already in the week buffer – scroll to its week so it becomes visible.
+      requestAnimationFrame(() => {
+        flatListRef.current?.scrollToIndex({ index: toItemIndex(targetIdx), animated: scrollerPaging });
       });
-      
-      
-      if (!isInWindow) {
-        didInitialCenterRef.current = false; // allow next layout effect to recenter
-        const newWeeks = initCarousel();
-        setWeeks(newWeeks);
-        // Ensure re-center after new data applied (next frame)
-        InteractionManager.runAfterInteractions(reCenter);
-
-      } else if (scrollable) {
-        // Selected date is already in the week buffer – scroll to its week so it becomes visible.
-        const targetIdx = weeks.findIndex(week =>
-          getWeekStart(week.startDate).isSame(targetWeekStart, 'day')
-        );
-        if (targetIdx !== -1) {
-          requestAnimationFrame(() => {
-            flatListRef.current?.scrollToIndex({ index: targetIdx, animated: scrollerPaging });
-          });
-        }
-      }
     }
-  }, [selectedDate, activeDate, weeks, getWeekStart, initCarousel, reCenter, scrollable, scrollerPaging]);
+  }, [weeks, getWeekStart, initCarousel, applyWindow, scrollable, scrollerPaging, toItemIndex]);
+
+  // Rebuild the window around the centred week when weekBuffer (or
+  // scrollable) changes its size
+  const windowSizeRef = useRef(WINDOW_SIZE);
+  useEffect(() => {
+    if (windowSizeRef.current === WINDOW_SIZE) {
+      return;
+    }
+    windowSizeRef.current = WINDOW_SIZE;
+    const centerWeek = weeks[centerIndex];
+    applyWindow(initCarousel(centerWeek ? centerWeek.startDate : undefined));
+  }, [WINDOW_SIZE, weeks, centerIndex, initCarousel, applyWindow]);
+
+  // Show the week of each new controlled selectedDate. The internal value
+  // follows along so dropping the prop keeps the last selection.
+  const selectedDateKeyRef = useRef(selectedDateKey);
+  useEffect(() => {
+    if (selectedDateKey === selectedDateKeyRef.current) {
+      return;
+    }
+    selectedDateKeyRef.current = selectedDateKey;
+    if (selectedDateKey) {
+      setActiveDate(dayjs(selectedDateKey));
+      showWeekOf(dayjs(selectedDateKey));
+    }
+  }, [selectedDateKey, showWeekOf]);
+
+  // Week strip or expanded month grid. `mode` drives it from outside; the
+  // handle, the header and expand()/collapse() switch it internally.
+  const [currentMode, setCurrentMode] = useState(mode);
+  const applyMode = useCallback((nextMode) => {
+    LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
+    setCurrentMode(nextMode);
+    if (nextMode === 'week') {
+      // Return to the week of the (possibly newly) selected date
+      showWeekOf(activeDate);
+    }
+  }, [showWeekOf, activeDate]);
+
+  useEffect(() => {
+    if (mode !== currentMode) {
+      applyMode(mode);
+    }
+  }, [mode]); // only follow changes of the prop itself
+
+  const changeMode = useCallback((nextMode) => {
+    if (nextMode === currentMode) return;
+    applyMode(nextMode);
+    if (onModeChange) {
+      onModeChange(nextMode);
+    }
+  }, [currentMode, applyMode, onModeChange]);
+
+  const isMonthMode = currentMode === 'month';
+  const activeMonth = dayjs(activeDate).month();
+
+  // Rows of the month grid, built from the same cached weeks as the strip
+  const monthWeeks = useMemo(
+    () => (isMonthMode ? controller.getMonthWeeks(activeDate) : []),
+    [
+      isMonthMode, controller, activeDate, useIsoWeekday, firstDayOfWeek,
+      numDaysInWeek, resolvedLocale, zone, todayKey,
+    ]
+  );
+
+  // Latest mode state for the long-lived header and pan handlers below
+  const modeStateRef = useRef(null);
+  modeStateRef.current = { changeMode, isMonthMode, expandable, onHeaderSelected };
+
+  const toggleMode = useCallback(() => {
+    const { changeMode: change, isMonthMode: expanded } = modeStateRef.current;
+    change(expanded ? 'week' : 'month');
+  }, []);
+
+  // CalendarHeader ignores callback-only prop changes, so it gets a stable
+  // handler reading the current state through modeStateRef
+  const handleHeaderSelected = useCallback((...args) => {
+    const { expandable: canExpand, onHeaderSelected: onSelected } = modeStateRef.current;
+    if (canExpand) {
+      toggleMode();
+    }
+    if (onSelected) {
+      onSelected(...args);
+    }
+  }, [toggleMode]);
+
+  // Drag the handle down to expand and up to collapse; a tap toggles
+  const handlePanResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: (e, { dy }) => Math.abs(dy) > 5,
+      onPanResponderRelease: (e, { dy }) => {
+        if (dy > EXPAND_DRAG_THRESHOLD) {
+          modeStateRef.current.changeMode('month');
+        } else if (dy < -EXPAND_DRAG_THRESHOLD) {
+          modeStateRef.current.changeMode('week');
+        } else if (Math.abs(dy) < 5) {
+          toggleMode();
+        }
+      },
+    })
+  ).current;
 
   // Initial centering once layout is calculated
   useLayoutEffect(() => {
@@ -343,9 +711,22 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   const isShiftingRef = useRef(false);
   const pendingShiftRef = useRef([]);
   const lastOffsetRef = useRef(0);
-  // Latest usable content width (excludes selectors) and pending compensation
-  const contentWidthRef = useRef(0);
+  // Latest page size – usable content width (excludes selectors), or the row
+  // height when vertical – and pending compensation in pages
+  const pageSizeRef = useRef(0);
+  // Visible height of the vertical list, to find its last reachable row
+  const listHeightRef = useRef(0);
   const pendingDeltaRef = useRef(0);
+
+  // Largest list offset for a page size. Several rows are visible at once
+  // when vertical, so the last page is the one that brings the final row to
+  // the bottom edge. Bounds can leave fewer than WINDOW_SIZE weeks loaded.
+  const getMaxOffset = useCallback(w => {
+    const count = weeksRef.current.length;
+    return isVertical
+      ? Math.max(0, count * w - listHeightRef.current)
+      : Math.max(0, count - 1) * w;
+  }, [isVertical]);
   
   const shiftLeft = useCallback(() => {
     if (isShiftingRef.current) {
@@ -354,38 +735,24 @@ const CalendarStrip = forwardRef(function CalendarStrip({
     }
     isShiftingRef.current = true;
 
-    let addedCount = 0;
-    setWeeks(currentWeeks => {
-      let weeksToAdd = [];
-      let cursorStart = getWeekStart(currentWeeks[0].startDate);
-
-      for (let i = 0; i < SHIFT_SIZE; i++) {
-        const candidateStart = cursorStart.subtract(numDaysInWeek, 'day');
-        const candidateEnd = candidateStart.add(numDaysInWeek - 1, 'day');
-
-        if (minDate && candidateEnd.isBefore(dayjs(minDate), 'day')) {
-          break; // stop at boundary
-        }
-
-        weeksToAdd.push(getCachedWeek(candidateStart));
-        cursorStart = candidateStart;
-        addedCount += 1;
-      }
-
-      if (addedCount === 0) {
-        return currentWeeks; // nothing added
-      }
-
-      weeksToAdd.reverse(); // maintain chronological order
-      return [...weeksToAdd, ...currentWeeks.slice(0, WINDOW_SIZE - addedCount)];
-    });
+    const weeksToAdd = controller.getWeeksBefore(
+      getWeekStart(weeksRef.current[0].startDate),
+      SHIFT_SIZE
+    );
+    const addedCount = weeksToAdd.length;
+    if (addedCount === 0) {
+      isShiftingRef.current = false; // nothing added
+      return false;
+    }
+    weeksToAdd.forEach(loadWeekMarkings);
+    setWeeks(currentWeeks => [...weeksToAdd, ...currentWeeks.slice(0, WINDOW_SIZE - addedCount)]);
 
     queueCompensation(addedCount);
      return true;
   }, [
-    getCachedWeek,
+    controller,
     getWeekStart,
-    numDaysInWeek,
+    loadWeekMarkings,
     minDate,
     WINDOW_SIZE,
     weekBuffer,
@@ -400,37 +767,35 @@ const CalendarStrip = forwardRef(function CalendarStrip({
     }
     isShiftingRef.current = true;
 
-    let addedCount = 0;
-    setWeeks(currentWeeks => {
-      let weeksToAdd = [];
-      let cursorStart = getWeekStart(currentWeeks[currentWeeks.length - 1].startDate);
-
-      for (let i = 0; i < SHIFT_SIZE; i++) {
-        const candidateStart = cursorStart.add(numDaysInWeek, 'day');
-
-        if (maxDate && dayjs(candidateStart).isAfter(dayjs(maxDate), 'day')) {
-          break; // boundary hit
-        }
-
-        weeksToAdd.push(getCachedWeek(candidateStart));
-        cursorStart = candidateStart;
-        addedCount += 1;
-      }
-
-      if (addedCount === 0) {
-        return currentWeeks;
-      }
-
-      return [...currentWeeks.slice(addedCount), ...weeksToAdd];
-    });
+    const currentWeeks = weeksRef.current;
+    const weeksToAdd = controller.getWeeksAfter(
+      getWeekStart(currentWeeks[currentWeeks.length - 1].startDate),
+      SHIFT_SIZE
+    );
+    const addedCount = weeksToAdd.length;
+    if (addedCount === 0) {
+      isShiftingRef.current = false;
+      return false;
+    }
+    // A window cut short by minDate grows back to WINDOW_SIZE first
+    const droppedCount = Math.max(0, currentWeeks.length + addedCount - WINDOW_SIZE);
+    weeksToAdd.forEach(loadWeekMarkings);
+    setWeeks(current => [...current.slice(droppedCount), ...weeksToAdd]);
 
-    queueCompensation(-addedCount);
+    if (droppedCount) {
+      queueCompensation(-droppedCount);
+    } else {
+      // Nothing moved under the viewport, so there is no offset to fix
+      requestAnimationFrame(() => {
+        isShiftingRef.current = false;
+      });
+    }
     // isShiftingRef will be cleared inside rAF
     return true;
   }, [
-    getCachedWeek,
+    controller,
     getWeekStart,
-    numDaysInWeek,
+    loadWeekMarkings,
     maxDate,
     WINDOW_SIZE,
     weekBuffer,
@@ -441,32 +806,140 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   // Edge detection for rubber-band overscroll
   const edgeShiftHandledRef = useRef(false);
 
+  // Week shown when the current user scroll began; null while idle
+  const scrollStartWeekRef = useRef(null);
+
+  // Range `{ startDate, endDate }` shown at a list offset: the week page in
+  // week mode, or numDaysInWeek days from the leftmost visible day in day mode
+  const getVisibleRange = useCallback(offset => {
+    const w = pageSizeRef.current;
+
+    if (isDayMode) {
+      if (listData.length < numDaysInWeek) return null;
+      const dayWidth = w / numDaysInWeek;
+      const first = w ? Math.round(offset / dayWidth) : centerIndex * numDaysInWeek;
+      const clamped = Math.max(0, Math.min(first, listData.length - numDaysInWeek));
+      return {
+        startDate: listData[clamped].date,
+        endDate: listData[clamped + numDaysInWeek - 1].date,
+      };
+    }
+
+    const page = w ? Math.round(offset / w) : centerIndex;
+    const clamped = Math.max(0, Math.min(page, weeks.length - 1));
+    return weeks[clamped] || null;
+  }, [isDayMode, listData, weeks, numDaysInWeek, centerIndex]);
+
+  // Paging requests `{ week, resolve, timer }` waiting for their target week
+  // to come into view (null until the scroll is issued)
+  const pageSettleRef = useRef([]);
+
+  const settlePage = useCallback((request, result) => {
+    pageSettleRef.current = pageSettleRef.current.filter(r => r !== request);
+    clearTimeout(request.timer);
+    request.resolve(result);
+  }, []);
+
+  // Settle the paging requests whose target week is now in view. Not every
+  // platform reports the end of a programmatic scroll, so viewability
+  // changes and scroll events resting on a page both count.
+  const settlePagesOn = useCallback(week => {
+    if (!week) return;
+    pageSettleRef.current
+      .filter(request => request.week && dayjs(request.week.startDate).isSame(week.startDate, 'day'))
+      .forEach(request => settlePage(request, true));
+  }, [settlePage]);
+
+  useEffect(() => () => {
+    pageSettleRef.current.forEach(request => settlePage(request, false));
+  }, [settlePage]);
+
+  const onScrollBeginDrag = useCallback(() => {
+    // A drag that resumes before the previous one settled keeps its origin
+    if (scrollStartWeekRef.current) return;
+
+    const week = getVisibleRange(lastOffsetRef.current);
+    if (!week) return;
+
+    scrollStartWeekRef.current = week;
+    if (onWeekScrollStart) {
+      onWeekScrollStart(
+        toCallbackDate(week.startDate),
+        toCallbackDate(week.endDate),
+        { startDate: toDateKey(week.startDate), endDate: toDateKey(week.endDate) }
+      );
+    }
+  }, [getVisibleRange, onWeekScrollStart, toCallbackDate]);
+
+  // Report the settled week together with the week the scroll started from
+  const emitWeekScrollEnd = useCallback(offset => {
+    const prevWeek = scrollStartWeekRef.current;
+    if (!prevWeek) return;
+    scrollStartWeekRef.current = null;
+
+    const week = getVisibleRange(offset);
+    if (week && onWeekScrollEnd) {
+      onWeekScrollEnd(
+        toCallbackDate(week.startDate),
+        toCallbackDate(week.endDate),
+        toCallbackDate(prevWeek.startDate),
+        toCallbackDate(prevWeek.endDate),
+        {
+          startDate: toDateKey(week.startDate),
+          endDate: toDateKey(week.endDate),
+          prevStartDate: toDateKey(prevWeek.startDate),
+          prevEndDate: toDateKey(prevWeek.endDate),
+        }
+      );
+    }
+  }, [getVisibleRange, onWeekScrollEnd, toCallbackDate]);
+
+  // Scroll position along the list axis
+  const getScrollOffset = useCallback(
+    event => (isVertical ? event.nativeEvent.contentOffset.y : event.nativeEvent.contentOffset.x),
+    [isVertical]
+  );
+
   const onScrollEnd = useCallback(
-    (event) => {
-      const rawX = event.nativeEvent.contentOffset.x;
-      const w = contentWidthRef.current;
+    (event, fromMomentum) => {
+      const rawX = getScrollOffset(event);
+      const w = pageSizeRef.current;
       if (!w) return;
 
-      const maxX = (WINDOW_SIZE - 1) * w;
+      const maxX = getMaxOffset(w);
+      const lastPage = Math.round(maxX / w);
 
       // Determine which logical page we're on.
       let page;
       if (rawX < 0) {
         page = 0;
       } else if (rawX > maxX) {
-        page = WINDOW_SIZE - 1;
+        page = lastPage;
       } else {
         page = Math.floor((rawX + w / 2) / w);
       }
 
-      const snappedOffset = page * w;
+      // Day mode snaps to single days inside the week pages
+      const snapWidth = isDayMode ? w / numDaysInWeek : w;
+      const snappedOffset = isDayMode
+        ? Math.round(Math.max(0, Math.min(rawX, maxX)) / snapWidth) * snapWidth
+        : page * w;
       lastOffsetRef.current = snappedOffset;
 
-      // Reset edge guard when back in the middle
-      if (page === CENTER_INDEX) {
+      settlePagesOn(getVisibleRange(snappedOffset));
+
+      // Reset edge guard once away from both edges; a window cut short by
+      // minDate/maxDate may not reach CENTER_INDEX
+      if (page > 0 && page < lastPage) {
         edgeShiftHandledRef.current = false;
       }
 
+      // Emit the settled week before an edge shift rewrites the window. Drag
+      // ends only count when no momentum scroll will follow.
+      if (!isShiftingRef.current && (fromMomentum || Math.abs(rawX - snappedOffset) < 1)) {
+        emitWeekScrollEnd(snappedOffset);
+      }
+
       // If a shift animation is still in progress, flush pending queue.
       if (isShiftingRef.current) {
         if (page === CENTER_INDEX) {
@@ -478,26 +951,41 @@ const CalendarStrip = forwardRef(function CalendarStrip({
         return;
       }
 
-      // Edge shift – allow only once until user scrolls back into window
+      // Edge shift – allow only once until user scrolls back into window.
+      // A shift the bounds block does not count.
       if (page === 0) {
         if (!edgeShiftHandledRef.current) {
-          edgeShiftHandledRef.current = true;
-          shiftLeft();
+          edgeShiftHandledRef.current = shiftLeft();
         }
-      } else if (page === WINDOW_SIZE - 1) {
+      } else if (page >= lastPage) {
         if (!edgeShiftHandledRef.current) {
-          edgeShiftHandledRef.current = true;
-          shiftRight();
+          edgeShiftHandledRef.current = shiftRight();
         }
       }
     },
-    [WINDOW_SIZE, shiftLeft, shiftRight],
+    [
+      getMaxOffset, isDayMode, numDaysInWeek, getScrollOffset, settlePagesOn,
+      getVisibleRange, shiftLeft, shiftRight, emitWeekScrollEnd,
+    ],
+  );
+
+  const onMomentumScrollEnd = useCallback(
+    event => onScrollEnd(event, true),
+    [onScrollEnd]
   );
 
   // Live scroll offset logger
   const onScroll = useCallback(event => {
-    const offsetX = event.nativeEvent.contentOffset.x;
-    lastOffsetRef.current = offsetX; // keep ref in sync
+    const offset = getScrollOffset(event);
+    lastOffsetRef.current = offset; // keep ref in sync
+    const w = pageSizeRef.current;
+    if (w && Math.abs(offset - Math.round(offset / w) * w) < 1) {
+      settlePagesOn(getVisibleRange(offset));
+    }
+  }, [getScrollOffset, settlePagesOn, getVisibleRange]);
+
+  const onListLayout = useCallback(event => {
+    listHeightRef.current = event.nativeEvent.layout.height;
   }, []);
 
   // flush pending compensation using latest width
@@ -506,18 +994,19 @@ const CalendarStrip = forwardRef(function CalendarStrip({
     if (!k) return;
     pendingDeltaRef.current = 0;
 
-    const w = contentWidthRef.current;
+    const w = pageSizeRef.current;
     if (w <= 0) return;
 
-    const maxOffset = (WINDOW_SIZE - 1) * w;
+    const maxOffset = getMaxOffset(w);
+    const snapWidth = isDayMode ? w / numDaysInWeek : w;
     let newOffset = lastOffsetRef.current + k * w;
-    newOffset = Math.round(newOffset / w) * w;
+    newOffset = Math.round(newOffset / snapWidth) * snapWidth;
     newOffset = Math.max(0, Math.min(newOffset, maxOffset));
 
     lastOffsetRef.current = newOffset;
     flatListRef.current?.scrollToOffset({ offset: newOffset, animated: false });
     isShiftingRef.current = false;
-  }, [WINDOW_SIZE]);
+  }, [getMaxOffset, isDayMode, numDaysInWeek]);
 
   // queue compensation and ensure a flush next frame
   const queueCompensation = useCallback((deltaK) => {
@@ -526,31 +1015,17 @@ const CalendarStrip = forwardRef(function CalendarStrip({
     requestAnimationFrame(flushCompensation);
   }, [flushCompensation]);
 
-  const onViewableItemsChanged = useCallback(({ viewableItems }) => {
-    // Prevent spurious callbacks when the carousel internally shifts its window
-    // (e.g. the user hits the edge and we prepend/append weeks). At that time
-    // `viewableItems` changes even though the user hasn’t explicitly scrolled
-    // to a new week yet. We simply ignore those interim events; once the
-    // compensation completes and `isShiftingRef` is cleared, the next
-    // viewability change (triggered by real user interaction) will fire the
-    // correct callbacks.
-    if (isShiftingRef.current) {
-      return;
-    }
-    if (!viewableItems || viewableItems.length === 0) {
-      return;
-    }
-
-    // Compute the item whose center is nearest to viewport center
+  // Index of the viewable week whose center is nearest to the viewport center
+  const findCenterWeekIndex = viewableItems => {
     // Viewport center X in list coordinates
-    const viewportCenterX = lastOffsetRef.current + contentWidthRef.current / 2;
+    const viewportCenterX = lastOffsetRef.current + pageSizeRef.current / 2;
 
     let closestIdx = null;
     let minDistance = Number.MAX_VALUE;
 
     viewableItems.forEach(v => {
       if (typeof v.index !== 'number') return;
-      const itemCenterX = (v.index + 0.5) * contentWidthRef.current;
+      const itemCenterX = (v.index + 0.5) * pageSizeRef.current;
       const dist = Math.abs(itemCenterX - viewportCenterX);
       if (dist < minDistance) {
         minDistance = dist;
@@ -558,18 +1033,47 @@ const CalendarStrip = forwardRef(function CalendarStrip({
       }
     });
 
-    if (closestIdx == null) return;
+    return closestIdx;
+  };
 
-    const centerWeek = weeks[closestIdx];
+  const onViewableItemsChanged = useCallback(({ viewableItems }) => {
+    // Prevent spurious callbacks when the carousel internally shifts its window
+    // (e.g. the user hits the edge and we prepend/append weeks). At that time
+    // `viewableItems` changes even though the user hasn’t explicitly scrolled
+    // to a new week yet. We simply ignore those interim events; once the
+    // compensation completes and `isShiftingRef` is cleared, the next
+    // viewability change (triggered by real user interaction) will fire the
+    // correct callbacks.
+    if (isShiftingRef.current) {
+      return;
+    }
+    if (!viewableItems || viewableItems.length === 0) {
+      return;
+    }
+
+    // Day mode: viewable items are days, so report the visible day range.
+    // Vertical: several rows are visible, so report the top one.
+    const centerWeek = isDayMode || isVertical
+      ? getVisibleRange(lastOffsetRef.current)
+      : weeks[findCenterWeekIndex(viewableItems)];
 
     if (!centerWeek) return;
+    // The other layouts read the week from the scroll offset, which already
+    // holds a paging target, so only real viewable items settle pages here
+    if (!isDayMode && !isVertical) {
+      settlePagesOn(centerWeek);
+    }
 
     const weekKey = `${dayjs(centerWeek.startDate).format('YYYY-MM-DD')}_${dayjs(centerWeek.endDate).format('YYYY-MM-DD')}`;
 
     // Avoid redundant callbacks if week hasn't changed
     if (currentWeekRef.current !== weekKey) {
       if (onWeekChanged) {
-        onWeekChanged(dayjs(centerWeek.startDate), dayjs(centerWeek.endDate));
+        onWeekChanged(
+          toCallbackDate(centerWeek.startDate),
+          toCallbackDate(centerWeek.endDate),
+          { startDate: toDateKey(centerWeek.startDate), endDate: toDateKey(centerWeek.endDate) }
+        );
       }
 
       if (updateMonthYear) {
@@ -581,64 +1085,309 @@ const CalendarStrip = forwardRef(function CalendarStrip({
       }
 
       currentWeekRef.current = weekKey;
+      setVisibleWeek({ startDate: centerWeek.startDate, endDate: centerWeek.endDate });
+    }
+  }, [
+    weeks, isDayMode, isVertical, getVisibleRange, numDaysInWeek,
+    onWeekChanged, updateMonthYear, toCallbackDate, settlePagesOn,
+  ]);
+
+  // The visible week reaches a bound when the page before/after it would
+  // lie entirely outside minDate/maxDate. The arrows stop there unless
+  // boundsPolicy is 'disable'.
+  const pagingWeek = visibleWeek || weeks[centerIndex];
+  const atStartBound = !!pagingWeek && !!minDate &&
+    !dayjs(pagingWeek.startDate).isAfter(toDay(minDate), 'day');
+  const atEndBound = !!pagingWeek && !!maxDate &&
+    !dayjs(pagingWeek.endDate).isBefore(toDay(maxDate), 'day');
+  const blocksAtBounds = boundsPolicy !== 'disable';
+  const canGoPrevious = !!pagingWeek && !(blocksAtBounds && atStartBound);
+  const canGoNext = !!pagingWeek && !(blocksAtBounds && atEndBound);
+
+  const onBoundaryReachedRef = useRef(onBoundaryReached);
+  onBoundaryReachedRef.current = onBoundaryReached;
+  useEffect(() => {
+    if (atStartBound && onBoundaryReachedRef.current) {
+      onBoundaryReachedRef.current('start');
+    }
+  }, [atStartBound]);
+  useEffect(() => {
+    if (atEndBound && onBoundaryReachedRef.current) {
+      onBoundaryReachedRef.current('end');
     }
-  }, [weeks, numDaysInWeek, onWeekChanged, updateMonthYear, contentWidthRef]);
+  }, [atEndBound]);
+
+  // Page one week back (-1) or forward (1) with animation. When the target
+  // is the last loaded page on that side the window is shifted first, so the
+  // animation never ends on an edge. Resolves with true once the new week is
+  // in view, and with false when the page is out of bounds, a shift is in
+  // flight, the week never comes into view or the strip unmounts.
+  const pageWeek = useCallback(direction => {
+    if (direction < 0 ? !canGoPrevious : !canGoNext) {
+      return Promise.resolve(false);
+    }
+
+    if (!scrollable) {
+      setWeeks(current => [
+        getCachedWeek(dayjs(current[0].startDate).add(direction * numDaysInWeek, 'day')),
+      ]);
+      return Promise.resolve(true);
+    }
+
+    const w = pageSizeRef.current;
+    if (!w || isShiftingRef.current) return Promise.resolve(false);
+
+    // The week one page away from the visible one, read before a shift
+    // rewrites the window
+    const fromWeek = getVisibleRange(lastOffsetRef.current);
+    if (!fromWeek) return Promise.resolve(false);
+    const targetWeek = {
+      startDate: dayjs(fromWeek.startDate).add(direction * numDaysInWeek, 'day'),
+    };
+
+    const maxX = getMaxOffset(w);
+    const targetPage = Math.round((lastOffsetRef.current + direction * w) / w);
+    if (targetPage <= 0) {
+      shiftLeft();
+    } else if (targetPage >= Math.round(maxX / w)) {
+      shiftRight();
+    }
+
+    const request = { week: null };
+    const promise = new Promise(resolve => {
+      request.resolve = resolve;
+    });
+    request.timer = setTimeout(() => settlePage(request, false), PAGE_SETTLE_TIMEOUT);
+    pageSettleRef.current.push(request);
+
+    // Queued after the shift's offset compensation
+    requestAnimationFrame(() => {
+      if (!pageSettleRef.current.includes(request)) return;
+      const offset = Math.max(0, Math.min(lastOffsetRef.current + direction * w, maxX));
+      request.week = targetWeek;
+      lastOffsetRef.current = offset;
+      flatListRef.current?.scrollToOffset({ offset, animated: true });
+    });
+
+    return promise;
+  }, [
+    scrollable, getMaxOffset, numDaysInWeek, canGoPrevious, canGoNext,
+    getCachedWeek, shiftLeft, shiftRight, settlePage, getVisibleRange,
+  ]);
 
-  // Imperative methods
-  React.useImperativeHandle(calendarRef, () => {
+  const goToPreviousPage = useCallback(() => pageWeek(-1), [pageWeek]);
+  const goToNextPage = useCallback(() => pageWeek(1), [pageWeek]);
+
+  // leftSelector/rightSelector: a node (`[]` hides the control) or a function
+  // receiving `{ onPress, disabled }`. Otherwise the built-in arrow when
+  // showWeekSelectors is set.
+  const renderWeekSelector = isPrevious => {
+    const custom = isPrevious ? leftSelector : rightSelector;
+    const disabled = isPrevious ? !canGoPrevious : !canGoNext;
+    const onPress = isPrevious ? goToPreviousPage : goToNextPage;
+    if (typeof custom === 'function') {
+      return custom({ onPress, disabled });
+    }
+    if (custom !== undefined) {
+      return custom;
+    }
+    if (!showWeekSelectors) {
+      return null;
+    }
+    return (
+      <WeekSelector
+        imageSource={isPrevious ? iconLeft : iconRight}
+        iconStyle={iconStyle}
+        iconInstanceStyle={isPrevious ? iconLeftStyle : iconRightStyle}
+        iconContainerStyle={iconContainer}
+        disabled={disabled}
+        onPress={onPress}
+        accessibilityLabel={isPrevious ? 'Previous week' : 'Next week'}
+      />
+    );
+  };
+
+  // Imperative methods. Dates go in and come out like the callbacks': any
+  // date input is read in `timeZone`, Dayjs results are in callback form.
+  const createHandle = () => {
+    // Invalid dates warn and leave the strip untouched
+    const readDate = (date, name) => {
+      const input = normalizeDate(date, name);
+      return input === undefined ? null : toDay(input);
+    };
+
+    // Select `date` (clamped into minDate/maxDate) as a tap would and
+    // rebuild the window around it, even when its week is already loaded.
+    // Disabled dates are shown but not selected.
     const handleScrollToDate = (date) => {
-      setActiveDate(date);
+      const day = readDate(date, 'jumpToDate');
+      if (!day) return;
+      const target = controller.clampDate(day);
+      handleDateSelection(target);
 
       // Rebuild carousel around new date
-      didInitialCenterRef.current = false; // allow next layout effect to recenter
-      const newWeeks = initCarousel();
-      setWeeks(newWeeks);
-      // Ensure re-center after new data applied (next frame)
-      InteractionManager.runAfterInteractions(reCenter);
+      applyWindow(initCarousel(target));
+    };
+
+    // Select `date` as a tap would, then bring its week into view
+    const setSelectedDate = (date) => {
+      const day = readDate(date, 'setSelectedDate');
+      if (!day) return;
+      handleDateSelection(day);
+      showWeekOf(day);
+    };
+
+    // Regenerate the loaded weeks and drop cached markedDates loader results
+    const refresh = () => {
+      controller.clearCache();
+      weekMarkingsRef.current.clear();
+      setWeeks(current => current.map(week => getCachedWeek(week.startDate)));
+      setWeekMarkingsVersion(v => v + 1);
+    };
+
+    // Index in `weeks` of the week on screen: the one holding the first
+    // visible day, or the window centre before the first viewability report
+    const getCurrentWeekIndex = () => {
+      if (!visibleWeek) return centerIndex;
+      const firstDay = dayjs(visibleWeek.startDate);
+      const index = weeks.findIndex(week =>
+        !firstDay.isBefore(week.startDate, 'day') && !firstDay.isAfter(week.endDate, 'day')
+      );
+      return index === -1 ? centerIndex : index;
+    };
 
+    const getVisibleDates = () => {
+      const week = visibleWeek || weeks[centerIndex];
+      if (!week) return null;
+      return {
+        startDate: toCallbackDate(week.startDate),
+        endDate: toCallbackDate(week.endDate),
+        startDateString: toDateKey(week.startDate),
+        endDateString: toDateKey(week.endDate),
+      };
     };
 
     return {
+      // Selection
+      getSelectedDate: () => toCallbackDate(activeDate),
+      setSelectedDate,
+      // Navigation
       jumpToDate: handleScrollToDate,
       scrollToDate: handleScrollToDate,
-      getSelectedDate: () => activeDate,
-      goToNextWeek: () => {
-        const centerWeek = weeks[CENTER_INDEX];
-        if (centerWeek) {
-          const nextWeekStart = getWeekStart(centerWeek.startDate).add(numDaysInWeek, 'day');
-          setActiveDate(nextWeekStart.toDate());
-        }
-      },
-      goToPreviousWeek: () => {
-        const centerWeek = weeks[CENTER_INDEX];
-        if (centerWeek) {
-          const prevWeekStart = getWeekStart(centerWeek.startDate).subtract(numDaysInWeek, 'day');
-          setActiveDate(prevWeekStart.toDate());
-        }
+      scrollToDateForce: handleScrollToDate,
+      updateWeekView: date => {
+        const day = readDate(date, 'updateWeekView');
+        if (day) showWeekOf(day);
       },
-      getCurrentWeek: () => weeks[CENTER_INDEX] || null,
+      goToNextWeek: goToNextPage,
+      goToPreviousWeek: goToPreviousPage,
+      getNextWeek: goToNextPage,
+      getPreviousWeek: goToPreviousPage,
+      expand: () => changeMode('month'),
+      collapse: () => changeMode('week'),
+      // Querying
+      getVisibleRange: getVisibleDates,
+      getCurrentWeek: () => weeks[getCurrentWeekIndex()] || null,
       getWeeks: () => weeks,
-      getCurrentWeekIndex: () => CENTER_INDEX,
+      getCurrentWeekIndex,
+      // Refresh
+      refresh,
     };
-  });
+  };
+  React.useImperativeHandle(ref, createHandle);
+  React.useImperativeHandle(calendarRef, createHandle);
+
+  // Warn once per instance; inline callback refs change on every render
+  const warnedCalendarRefRef = useRef(false);
+  useEffect(() => {
+    if (calendarRef && !warnedCalendarRefRef.current) {
+      warnedCalendarRefRef.current = true;
+      logger.debug('[WARN] calendarRef is deprecated, pass the ref through `ref` instead');
+    }
+  }, [calendarRef]);
 
   // Date selection handler
   const handleDateSelection = useCallback(date => {
     
     const dateObj = dayjs(date);
-    if (minDate && dateObj.isBefore(dayjs(minDate), 'day')) {
+    if (controller.isDateDisabled(dateObj)) {
       return;
     }
-    if (maxDate && dateObj.isAfter(dayjs(maxDate), 'day')) {
+    if (
+      onBeforeDateSelected &&
+      onBeforeDateSelected(toCallbackDate(dateObj), toDateKey(dateObj)) === false
+    ) {
       return;
     }
+    const epoch = dateObj.startOf('day').valueOf();
+
+    if (selectionMode === 'multiple') {
+      const isSelected = selectedEpochs.has(epoch);
+      if (!isSelected && maxSelections && selectedEpochs.size >= maxSelections) {
+        return;
+      }
+
+      // Selected dates are kept in callback form, like controlled selectedDates
+      const nextDates = (currentSelectedDates || [])
+        .map(d => dayjs(d))
+        .filter(d => toDay(d).startOf('day').valueOf() !== epoch);
+      if (!isSelected) {
+        nextDates.push(toCallbackDate(dateObj));
+      }
+      nextDates.sort((a, b) => a.valueOf() - b.valueOf());
+
+      if (!isSelectedDatesControlled) {
+        setInternalSelectedDates(nextDates);
+      }
+      if (onSelectedDatesChange) {
+        onSelectedDatesChange(nextDates, nextDates.map(d => toDateKey(toDay(d))));
+      }
+    }
 
     setActiveDate(dateObj);
 
+    if (selectionMode === 'range') {
+      const { start, end } = selectedRange;
+
+      // First tap (or a tap after a completed range) starts a new range;
+      // tapping before the current start moves the start instead.
+      if (start === null || end !== null || epoch < start) {
+        setSelectedRange({ start: epoch, end: null });
+      } else {
+        setSelectedRange({ start, end: epoch });
+        if (onRangeSelected) {
+          onRangeSelected(
+            toCallbackDate(start),
+            toCallbackDate(epoch),
+            { startDate: toDateKey(start), endDate: toDateKey(epoch) }
+          );
+        }
+      }
+    }
+
     if (onDateSelected) {
-      onDateSelected(dateObj);
+      onDateSelected(toCallbackDate(dateObj), toDateKey(dateObj));
+    }
+  }, [
+    controller, onBeforeDateSelected, onDateSelected, selectionMode, selectedRange, onRangeSelected,
+    selectedEpochs, maxSelections, currentSelectedDates,
+    isSelectedDatesControlled, onSelectedDatesChange, toDay, toCallbackDate,
+  ]);
+
+  // Selection flags for a single day cell
+  const getDaySelection = useCallback(epoch => {
+    const isActive = selectedEpochs.has(epoch);
+    if (selectionMode !== 'range') {
+      return { isActive };
     }
-  }, [onDateSelected, minDate, maxDate]);
+    const { start, end } = selectedRange;
+    return {
+      isActive,
+      isRangeStart: start !== null && epoch === start,
+      isRangeEnd: end !== null && epoch === end,
+      isInRange: start !== null && end !== null && epoch > start && epoch < end,
+    };
+  }, [selectionMode, selectedEpochs, selectedRange]);
 
   // Layout handlers
   const onLayout = useCallback(event => {
@@ -657,22 +1406,25 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   }, [flushCompensation]);
 
   const contentWidth = Math.max(viewWidth - leftWidth - rightWidth, 0);
+  const pageSize = isVertical ? weekHeight : contentWidth;
 
-  const prevContentWidthRef = useRef(0);
+  const prevPageSizeRef = useRef(0);
 
-  // keep width ref updated and fix offset drift when width changes
+  // keep page size ref updated and fix offset drift when it changes
   useEffect(() => {
-    contentWidthRef.current = contentWidth;
+    pageSizeRef.current = pageSize;
 
-    const newWidth = contentWidth;
-    const prevWidth = prevContentWidthRef.current;
+    const newWidth = pageSize;
+    const prevWidth = prevPageSizeRef.current;
 
     if (newWidth > 0 && prevWidth > 0 &&
        newWidth !== prevWidth &&
        pendingDeltaRef.current === 0
      ) {
-      const page = prevWidth > 0 ? Math.round(lastOffsetRef.current / prevWidth) : 0;
-      const corrected = page * newWidth;
+      // Keep the same week (or day, in day mode) in view at the new width
+      const units = isDayMode ? numDaysInWeek : 1;
+      const page = prevWidth > 0 ? Math.round(lastOffsetRef.current * units / prevWidth) : 0;
+      const corrected = page * newWidth / units;
 
       if (Math.abs(corrected - lastOffsetRef.current) > 1) {
         lastOffsetRef.current = corrected;
@@ -681,63 +1433,152 @@ const CalendarStrip = forwardRef(function CalendarStrip({
         });
       }
 
-      prevContentWidthRef.current = newWidth;
+      prevPageSizeRef.current = newWidth;
     }
-  }, [contentWidth]);
+  }, [pageSize, isDayMode, numDaysInWeek]);
 
-  // Render week
-  const renderWeek = useCallback(({ item: week }) => {
+  // Keep loader results for the loaded weeks and month grid rows only: load
+  // weeks that are still missing (e.g. on screen when a loader is first
+  // passed) and drop weeks that have left the window.
+  useEffect(() => {
+    if (typeof markedDates !== 'function') return;
+    const cache = weekMarkingsRef.current;
+    const liveIds = new Set();
+    [...weeks, ...monthWeeks].forEach(week => {
+      liveIds.add(week.id);
+      loadWeekMarkings(week);
+    });
+    cache.forEach((entry, id) => {
+      if (!liveIds.has(id)) cache.delete(id);
+    });
+    setWeekMarkingsVersion(v => v + 1);
+  }, [markedDates, weeks, monthWeeks, loadWeekMarkings]);
+
+  // Marking per YYYY-MM-DD key. The array and object forms are indexed only
+  // when markedDates (or zone) changes; the function form merges the
+  // per-week indexes of the weeks whose markings have resolved.
+  const staticMarkedDatesIndex = useMemo(
+    () => (typeof markedDates === 'function' ? null : buildMarkedDatesIndex(markedDates, zone)),
+    [markedDates, zone]
+  );
+  const markedDatesIndex = useMemo(() => {
+    if (staticMarkedDatesIndex) {
+      return staticMarkedDatesIndex;
+    }
+    const index = new Map();
+    weekMarkingsRef.current.forEach(entry => {
+      if (entry.pending) return;
+      entry.index.forEach((marking, key) => {
+        if (!index.has(key)) {
+          index.set(key, marking);
+        }
+      });
+    });
+    return index;
+  }, [staticMarkedDatesIndex, weekMarkingsVersion]);
+
+  // Render a single day cell (shared by the list and the non-scrollable row)
+  const renderDay = useCallback(day => {
+    const selection = getDaySelection(day.epoch);
+    const isDisabled = controller.isDateDisabled(day.date);
     return (
-      <View style={[styles.week, { width: contentWidth }]}>
-        {week.days.map(day => (
-          <CalendarDateItem isActive={day.epoch === activeEpoch}
-            key={`${day.dateString}${day.epoch === activeEpoch ? '-active' : ''}`}
-            date={day.date}
-            dateNumber={day.dayOfMonth}
-            dayName={upperCaseDays ? day.dayNameUpper : day.dayName}
-            isToday={day.isToday}
-            isWeekend={day.dayOfWeek === 0 || day.dayOfWeek === 6}
-            isCurrentMonth={day.isCurrentMonth}
-            onDateSelected={() => handleDateSelection(day.date)}
-            markedDates={markedDates}
-            markedDatesStyle={markedDatesStyle}
-            markerComponent={markerComponent}
-            dayComponent={dayComponent}
-            dateNameStyle={dateNameStyle}
-            dateNumberStyle={dateNumberStyle}
-            highlightDateNameStyle={highlightDateNameStyle}
-            highlightDateNumberStyle={highlightDateNumberStyle}
-            dayContainerStyle={dayContainerStyle}
-            calendarColor={calendarColor}
-            highlightColor={highlightColor}
-            disabledDateOpacity={disabledDateOpacity}
-            styleWeekend={styleWeekend}
-            showDayName={showDayName}
-            showDayNumber={showDayNumber}
-            allowDayTextScaling={allowDayTextScaling}
-          />
-        ))}
-      </View>
+      <CalendarDateItem isActive={selection.isActive}
+        key={`${day.dateString}${selection.isActive ? '-active' : ''}`}
+        date={day.date}
+        locale={resolvedLocale}
+        dateNumber={day.dayOfMonth}
+        dayName={upperCaseDays ? day.dayNameUpper : day.dayName}
+        isToday={day.isToday}
+        isWeekend={day.dayOfWeek === 0 || day.dayOfWeek === 6}
+        isCurrentMonth={day.isCurrentMonth}
+        isInRange={selection.isInRange}
+        isRangeStart={selection.isRangeStart}
+        isRangeEnd={selection.isRangeEnd}
+        isDisabled={isDisabled}
+        customStyle={getCustomDateStyle(day.date, customDatesStyles)}
+        onDateSelected={() => handleDateSelection(day.date)}
+        marking={markedDatesIndex.get(day.dateString)}
+        markedDatesStyle={markedDatesStyle}
+        markerComponent={markerComponent}
+        maxDots={maxDots}
+        dotOverflowTextStyle={dotOverflowTextStyle}
+        dayComponent={dayComponent}
+        dateNameStyle={dateNameStyle}
+        dateNumberStyle={dateNumberStyle}
+        highlightDateNameStyle={highlightDateNameStyle}
+        highlightDateNumberStyle={highlightDateNumberStyle}
+        dayContainerStyle={dayContainerStyle}
+        calendarColor={calendarColor}
+        highlightColor={highlightColor}
+        rangeColor={rangeColor}
+        rangeDayContainerStyle={rangeDayContainerStyle}
+        disabledDateOpacity={disabledDateOpacity}
+        styleWeekend={styleWeekend}
+        showDayName={showDayName}
+        showDayNumber={showDayNumber}
+        allowDayTextScaling={allowDayTextScaling}
+      />
     );
   }, [
-    contentWidth, upperCaseDays, activeEpoch, handleDateSelection,
-    markedDates, markedDatesStyle, markerComponent, dayComponent,
+    controller, minDate, maxDate, datesBlacklist, datesWhitelist,
+    resolvedLocale, upperCaseDays, getDaySelection, handleDateSelection,
+    markedDatesIndex, markedDatesStyle, markerComponent, maxDots,
+    dotOverflowTextStyle, dayComponent,
     dateNameStyle, dateNumberStyle, highlightDateNameStyle,
-    highlightDateNumberStyle, dayContainerStyle, calendarColor,
-    highlightColor, disabledDateOpacity, styleWeekend,
+    highlightDateNumberStyle, dayContainerStyle, customDatesStyles,
+    calendarColor, highlightColor, rangeColor, rangeDayContainerStyle,
+    disabledDateOpacity, styleWeekend,
     showDayName, showDayNumber, allowDayTextScaling
   ]);
 
+  // Leading week-of-year column of a week row; day cells flex around it
+  const renderWeekNumber = useCallback(week => (
+    showWeekNumbers ? (
+      <View style={styles.weekNumber} accessibilityLabel={`Week ${week.weekNumber}`}>
+        <Text
+          style={[styles.weekNumberText, weekNumberStyle]}
+          allowFontScaling={allowDayTextScaling}
+        >
+          {week.weekNumber}
+        </Text>
+      </View>
+    ) : null
+  ), [showWeekNumbers, weekNumberStyle, allowDayTextScaling]);
+
+  // Render week
+  const renderWeek = useCallback(({ item: week }) => {
+    return (
+      <View style={[styles.week, { width: contentWidth }, isVertical && { height: weekHeight }]}>
+        {renderWeekNumber(week)}
+        {week.days.map(renderDay)}
+      </View>
+    );
+  }, [contentWidth, isVertical, weekHeight, renderDay, renderWeekNumber]);
+
+  // Render a single day of the continuous list in day mode
+  const dayWidth = contentWidth / numDaysInWeek;
+  const renderDayItem = useCallback(({ item: day }) => {
+    return (
+      <View style={[styles.week, { width: dayWidth }]}>
+        {renderDay(day)}
+      </View>
+    );
+  }, [dayWidth, renderDay]);
+
   const keyExtractor = useCallback(
-    week => (week.startDate && week.startDate.format ? week.startDate.format('YYYY-MM-DD') : String(week.epochStart || '')),
+    item => {
+      if (item.dateString) return item.dateString;
+      return item.startDate && item.startDate.format ? item.startDate.format('YYYY-MM-DD') : String(item.epochStart || '');
+    },
     []
   );
 
+  const itemLength = isDayMode ? dayWidth : pageSize;
   const getItemLayout = useCallback((data, index) => ({
-    length: contentWidth,
-    offset: contentWidth * index,
+    length: itemLength,
+    offset: itemLength * index,
     index,
-  }), [contentWidth]);
+  }), [itemLength]);
 
   const viewabilityConfig = useMemo(() => ({
     itemVisiblePercentThreshold: 50
@@ -754,46 +1595,92 @@ const CalendarStrip = forwardRef(function CalendarStrip({
   // Lightweight logger wrapper – disabled unless `debug` prop is true in dev
   const log = (__DEV__ && debug) ? logger.debug : () => {};
 
+  // The header follows the visible week, or the whole month in month mode.
+  // CalendarHeader already splits ranges that cross a month or a year.
+  const headerWeek = visibleWeek || weeks[centerIndex];
+  let headerStart = null;
+  let headerEnd = null;
+  if (isMonthMode) {
+    headerStart = dayjs(activeDate).startOf('month');
+    headerEnd = dayjs(activeDate).endOf('month').startOf('day');
+  } else if (headerWeek) {
+    headerStart = dayjs(headerWeek.startDate);
+    headerEnd = dayjs(headerWeek.endDate);
+  }
+
+  let header = null;
+  if (showMonth && renderHeader) {
+    header = renderHeader({
+      weekStart: headerStart && toCallbackDate(headerStart),
+      weekEnd: headerEnd && toCallbackDate(headerEnd),
+      activeDate: toCallbackDate(activeDate),
+    });
+  } else if (showMonth) {
+    header = (
+      <CalendarHeader
+        calendarHeaderFormat={calendarHeaderFormat}
+        calendarHeaderStyle={calendarHeaderStyle}
+        locale={resolvedLocale}
+        testID="calendar_header"
+        weekStartDate={headerStart}
+        weekEndDate={headerEnd}
+        onHeaderSelected={expandable || onHeaderSelected ? handleHeaderSelected : undefined}
+      />
+    );
+  }
+  const isHeaderAtBottom = calendarHeaderPosition === 'bottom';
+
   return (
     
     <View style={[styles.container, style]} onLayout={onLayout}>
       <View style={[styles.inner, innerStyle]}>
-        {showMonth && (
-          <CalendarHeader
-            calendarHeaderFormat={calendarHeaderFormat}
-            calendarHeaderStyle={calendarHeaderStyle}
-            testID="calendar_header"
-            activeDate={activeDate}
-            onHeaderSelected={onHeaderSelected}
-          />
-        )}
-
-        <View style={styles.calendarContainer}>
-          <View onLayout={onLeftLayout}>{leftSelector}</View>
+        {!isHeaderAtBottom && header}
+
+        {/* The strip stays mounted in month mode to keep its scroll position */}
+        <View
+          style={[
+            styles.calendarContainer,
+            isVertical && styles.calendarContainerVertical,
+            isMonthMode && styles.hidden,
+          ]}
+        >
+          <View onLayout={onLeftLayout}>{renderWeekSelector(true)}</View>
         
           {scrollable ? (
             <ListComponent
-              extraData={activeEpoch}
+              extraData={renderDay}
               ref={flatListRef}
-              data={weeks}
-              renderItem={renderWeek}
+              data={listData}
+              renderItem={isDayMode ? renderDayItem : renderWeek}
               keyExtractor={keyExtractor}
               
-              horizontal
-              pagingEnabled={scrollerPaging}
+              horizontal={!isVertical}
+              pagingEnabled={scrollerPaging && !isDayMode && !isVertical}
+              {...(isDayMode
+                ? { snapToInterval: dayWidth, decelerationRate: 'fast' }
+                : {})}
+              {...(isVertical
+                ? {
+                  style: styles.verticalList,
+                  onLayout: onListLayout,
+                  snapToInterval: scrollerPaging ? weekHeight : undefined,
+                  showsVerticalScrollIndicator: false,
+                }
+                : {})}
               showsHorizontalScrollIndicator={false}
               getItemLayout={getItemLayout}
               onScroll={onScroll}
               scrollEventThrottle={16}
-              onMomentumScrollEnd={onScrollEnd}
+              onScrollBeginDrag={onScrollBeginDrag}
+              onMomentumScrollEnd={onMomentumScrollEnd}
               onScrollEndDrag={onScrollEnd}
               viewabilityConfigCallbackPairs={viewabilityConfigCallbackPairs.current}
-              initialScrollIndex={CENTER_INDEX}
+              initialScrollIndex={toItemIndex(centerIndex)}
               {...(!useFlashList
                 ? {
                     maintainVisibleContentPosition: {
                       // keep at least the first half of buffer in view before auto-shift triggers
-                      minIndexForVisible: Math.floor(weekBuffer / 2),
+                      minIndexForVisible: toItemIndex(Math.floor(weekBuffer / 2)),
                     },
                   }
                 : {})}
@@ -803,39 +1690,43 @@ const CalendarStrip = forwardRef(function CalendarStrip({
             />
           ) : (
             <View style={[styles.week, { width: contentWidth }]}>
-              {weeks[CENTER_INDEX]?.days.map(day => (
-                <CalendarDateItem isActive={day.epoch === activeEpoch}
-                  key={`${day.dateString}${day.epoch === activeEpoch ? '-active' : ''}`}
-                  date={day.date}
-                  dateNumber={day.dayOfMonth}
-                  dayName={upperCaseDays ? day.dayNameUpper : day.dayName}
-                  isToday={day.isToday}
-                  isWeekend={day.dayOfWeek === 0 || day.dayOfWeek === 6}
-                  isCurrentMonth={day.isCurrentMonth}
-                  onDateSelected={() => handleDateSelection(day.date)}
-                  markedDates={markedDates}
-                  markedDatesStyle={markedDatesStyle}
-                  markerComponent={markerComponent}
-                  dayComponent={dayComponent}
-                  dateNameStyle={dateNameStyle}
-                  dateNumberStyle={dateNumberStyle}
-                  highlightDateNameStyle={highlightDateNameStyle}
-                  highlightDateNumberStyle={highlightDateNumberStyle}
-                  dayContainerStyle={dayContainerStyle}
-                  calendarColor={calendarColor}
-                  highlightColor={highlightColor}
-                  disabledDateOpacity={disabledDateOpacity}
-                  styleWeekend={styleWeekend}
-                  showDayName={showDayName}
-                  showDayNumber={showDayNumber}
-                  allowDayTextScaling={allowDayTextScaling}
-                />
-              ))}
+              {weeks[centerIndex] && renderWeekNumber(weeks[centerIndex])}
+              {weeks[centerIndex]?.days.map(renderDay)}
             </View>
           )}
         
-          <View onLayout={onRightLayout}>{rightSelector}</View>
+          <View onLayout={onRightLayout}>{renderWeekSelector(false)}</View>
         </View>
+
+        {isMonthMode && (
+          <View style={styles.month}>
+            {monthWeeks.map(week => (
+              <View key={week.id} style={styles.week}>
+                {renderWeekNumber(week)}
+                {week.days.map(day => (
+                  day.month === activeMonth ? renderDay(day) : (
+                    <View key={day.dateString} style={styles.outsideMonthDay}>
+                      {renderDay(day)}
+                    </View>
+                  )
+                ))}
+              </View>
+            ))}
+          </View>
+        )}
+
+        {isHeaderAtBottom && header}
+
+        {expandable && (
+          <View
+            style={styles.handleContainer}
+            accessibilityRole="button"
+            accessibilityLabel={isMonthMode ? 'Collapse calendar' : 'Expand calendar'}
+            {...handlePanResponder.panHandlers}
+          >
+            <View style={[styles.handle, expandHandleStyle]} />
+          </View>
+        )}
       </View>
     </View>
   );
@@ -852,36 +1743,91 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  calendarContainerVertical: {
+    flex: 1,
+    alignItems: 'stretch',
+  },
+  verticalList: {
+    flex: 1,
+  },
   week: {
     flexDirection: 'row',
     justifyContent: 'space-around',
     alignItems: 'center',
   },
+  hidden: {
+    display: 'none',
+  },
+  weekNumber: {
+    width: 24,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  weekNumberText: {
+    fontSize: 10,
+    color: '#8E8E93',
+  },
+  month: {
+    width: '100%',
+  },
+  outsideMonthDay: {
+    flex: 1,
+    opacity: 0.4,
+  },
+  handleContainer: {
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  handle: {
+    width: 36,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#D0D0D0',
+  },
 });
 
+// Date, Dayjs, epoch milliseconds or ISO 8601 string
+const datePropType = PropTypes.oneOfType([
+  PropTypes.instanceOf(Date),
+  PropTypes.object,
+  PropTypes.string,
+  PropTypes.number,
+]);
+
 CalendarStrip.propTypes = {
   // Calendar configuration
-  selectedDate: PropTypes.oneOfType([
-    PropTypes.instanceOf(Date),
-    PropTypes.object
-  ]),
-  startingDate: PropTypes.oneOfType([
-    PropTypes.instanceOf(Date),
-    PropTypes.object
-  ]),
-  minDate: PropTypes.oneOfType([
-    PropTypes.instanceOf(Date),
-    PropTypes.object
-  ]),
-  maxDate: PropTypes.oneOfType([
-    PropTypes.instanceOf(Date),
-    PropTypes.object
-  ]),
+  // Controlled selection; use defaultSelectedDate for an uncontrolled strip
+  selectedDate: datePropType,
+  defaultSelectedDate: datePropType,
+  startingDate: datePropType,
+  minDate: datePropType,
+  maxDate: datePropType,
+  // 'block' stops scrolling at minDate/maxDate; 'disable' scrolls on and
+  // only disables the days outside them
+  boundsPolicy: PropTypes.oneOf(['block', 'disable']),
+  // IANA time zone (e.g. 'Asia/Seoul') for today, bounds and callback dates
+  timeZone: PropTypes.string,
+  datesBlacklist: PropTypes.oneOfType([PropTypes.array, PropTypes.func]),
+  datesWhitelist: PropTypes.oneOfType([PropTypes.array, PropTypes.func]),
   useIsoWeekday: PropTypes.bool,
+  // 0 (Sunday) … 6 (Saturday); overrides useIsoWeekday
+  firstDayOfWeek: PropTypes.oneOf([0, 1, 2, 3, 4, 5, 6]),
   numDaysInWeek: PropTypes.number,
   scrollable: PropTypes.bool,
   scrollerPaging: PropTypes.bool,
+  // 'week' pages by whole weeks; 'day' scrolls a continuous day list snapping to days
+  scrollMode: PropTypes.oneOf(['week', 'day']),
+  // 'week' shows the strip, 'month' the expanded month grid
+  mode: PropTypes.oneOf(['week', 'month']),
+  // false stacks weeks vertically; rows are `weekHeight` tall
+  horizontal: PropTypes.bool,
+  weekHeight: PropTypes.number,
+  // Show the drag handle and let a header tap toggle the month grid
+  expandable: PropTypes.bool,
   weekBuffer: PropTypes.number,
+  selectionMode: PropTypes.oneOf(['single', 'range', 'multiple']),
+  selectedDates: PropTypes.arrayOf(datePropType),
+  maxSelections: PropTypes.number,
   useFlashList: PropTypes.bool,
   flashListEstimatedItemSize: PropTypes.number,
 
@@ -889,6 +1835,16 @@ CalendarStrip.propTypes = {
   showMonth: PropTypes.bool,
   calendarHeaderFormat: PropTypes.string,
   calendarHeaderPosition: PropTypes.oneOf(['top', 'bottom']),
+  // ({ weekStart, weekEnd, activeDate }) => node; replaces the built-in header
+  renderHeader: PropTypes.func,
+  // dayjs locale name ('ko', 'fr-CA') or { name, config } locale object
+  locale: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      config: PropTypes.object,
+    }),
+  ]),
   calendarHeaderStyle: PropTypes.oneOfType([
     PropTypes.object,
     PropTypes.array
@@ -910,36 +1866,67 @@ CalendarStrip.propTypes = {
     PropTypes.array
   ]),
   dayContainerStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+  customDatesStyles: PropTypes.oneOfType([PropTypes.array, PropTypes.func]),
   disabledDateOpacity: PropTypes.number,
   styleWeekend: PropTypes.bool,
+  rangeColor: PropTypes.string,
+  rangeDayContainerStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+  expandHandleStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+  weekNumberStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
 
   // Display options
   showDayName: PropTypes.bool,
   showDayNumber: PropTypes.bool,
+  // Leading week-of-year column in week rows (not shown in scrollMode="day")
+  showWeekNumbers: PropTypes.bool,
+  // Built-in previous/next week arrows
+  showWeekSelectors: PropTypes.bool,
   upperCaseDays: PropTypes.bool,
   allowDayTextScaling: PropTypes.bool,
 
   // Events and callbacks
+  // Return false to cancel a tap: (date, dateString) => boolean | void
+  onBeforeDateSelected: PropTypes.func,
   onDateSelected: PropTypes.func,
+  onRangeSelected: PropTypes.func,
+  onSelectedDatesChange: PropTypes.func,
   onWeekChanged: PropTypes.func,
+  onWeekScrollStart: PropTypes.func,
+  onWeekScrollEnd: PropTypes.func,
+  // Visible week reached minDate ('start') or maxDate ('end')
+  onBoundaryReached: PropTypes.func,
   onHeaderSelected: PropTypes.func,
+  onModeChange: PropTypes.func,
+  // Called with (today, 'YYYY-MM-DD') when the date rolls over
+  onTodayChanged: PropTypes.func,
   updateMonthYear: PropTypes.func,
   onRenderComplete: PropTypes.func,
 
   // Custom components
   dayComponent: PropTypes.func,
-  leftSelector: PropTypes.node,
-  rightSelector: PropTypes.node,
+  // Node replacing the arrow (`[]` hides it) or ({ onPress, disabled }) => node
+  leftSelector: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+  rightSelector: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+  iconLeft: PropTypes.oneOfType([PropTypes.object, PropTypes.number]),
+  iconRight: PropTypes.oneOfType([PropTypes.object, PropTypes.number]),
+  iconStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.number, PropTypes.array]),
+  iconLeftStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.number, PropTypes.array]),
+  iconRightStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.number, PropTypes.array]),
+  iconContainer: PropTypes.oneOfType([PropTypes.object, PropTypes.number, PropTypes.array]),
 
   // Markers
-  markedDates: PropTypes.array,
+  // Array of dates / `{ date, dots, lines }` objects, a map keyed by YYYY-MM-DD,
+  // or a `(weekStart, weekEnd)` loader returning either (optionally as a Promise)
+  markedDates: PropTypes.oneOfType([PropTypes.array, PropTypes.object, PropTypes.func]),
   markedDatesStyle: PropTypes.oneOfType([
     PropTypes.object,
     PropTypes.array
   ]),
   markerComponent: PropTypes.func,
+  maxDots: PropTypes.number,
+  dotOverflowTextStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
 
-  // Reference
+  // Reference. Deprecated: use `ref`
   calendarRef: PropTypes.oneOfType([
     PropTypes.func,
     PropTypes.shape({ current: PropTypes.any })
@@ -948,15 +1935,30 @@ CalendarStrip.propTypes = {
 };
 
 CalendarStrip.defaultProps = {
-  selectedDate: dayjs(),
-  startingDate: dayjs(),
-  minDate: dayjs('2022-01-01'),
+  selectedDate: undefined,
+  defaultSelectedDate: undefined,
+  // Resolved to today in `timeZone` at mount
+  startingDate: undefined,
+  minDate: undefined,
   maxDate: undefined,
+  boundsPolicy: 'block',
+  timeZone: undefined,
+  datesBlacklist: undefined,
+  datesWhitelist: undefined,
   useIsoWeekday: false,
+  firstDayOfWeek: undefined,
   numDaysInWeek: 7,
   scrollable: true,
   scrollerPaging: true,
+  scrollMode: 'week',
+  mode: 'week',
+  horizontal: true,
+  weekHeight: 64,
+  expandable: false,
   weekBuffer: 3,
+  selectionMode: 'single',
+  selectedDates: undefined,
+  maxSelections: undefined,
   useFlashList: true,
   flashListEstimatedItemSize: undefined,
 
@@ -964,7 +1966,9 @@ CalendarStrip.defaultProps = {
   showMonth: true,
   calendarHeaderFormat: 'MMMM YYYY',
   calendarHeaderPosition: 'top',
+  renderHeader: undefined,
   calendarHeaderStyle: {},
+  locale: undefined,
 
   // Styling defaults
   style: {},
@@ -976,19 +1980,34 @@ CalendarStrip.defaultProps = {
   highlightDateNameStyle: {},
   highlightDateNumberStyle: {},
   dayContainerStyle: {},
+  customDatesStyles: undefined,
   disabledDateOpacity: 0.3,
   styleWeekend: false,
+  rangeColor: '#E6F0FB',
+  rangeDayContainerStyle: {},
+  expandHandleStyle: {},
+  weekNumberStyle: {},
 
   // Display options defaults
   showDayName: true,
   showDayNumber: true,
+  showWeekNumbers: false,
+  showWeekSelectors: false,
   upperCaseDays: false,
   allowDayTextScaling: true,
 
   // Events and callbacks
+  onBeforeDateSelected: undefined,
   onDateSelected: undefined,
+  onRangeSelected: undefined,
+  onSelectedDatesChange: undefined,
   onWeekChanged: undefined,
+  onWeekScrollStart: undefined,
+  onWeekScrollEnd: undefined,
+  onBoundaryReached: undefined,
   onHeaderSelected: undefined,
+  onModeChange: undefined,
+  onTodayChanged: undefined,
   updateMonthYear: undefined,
   onRenderComplete: undefined,
 
@@ -996,11 +2015,19 @@ CalendarStrip.defaultProps = {
   dayComponent: undefined,
   leftSelector: undefined,
   rightSelector: undefined,
+  iconLeft: require('../img/left-arrow-black.png'),
+  iconRight: require('../img/right-arrow-black.png'),
+  iconStyle: null,
+  iconLeftStyle: null,
+  iconRightStyle: null,
+  iconContainer: null,
 
   // Markers
   markedDates: [],
   markedDatesStyle: {},
   markerComponent: undefined,
+  maxDots: 3,
+  dotOverflowTextStyle: {},
 
   // Reference
   calendarRef: undefined,
@@ -0,0 +1,551 @@
+import dayjs from '../dayjs';
+import { isDateAllowed } from '../utils/dateRules';
+import { getWeekNumber, getWeekStartDate, resolveFirstDayOfWeek } from '../utils/weekStart';
+import { getToday, toCalendarDay } from '../utils/timeZone';
+
+const DEFAULT_OPTIONS = {
+  initialDate: undefined,
+  useIsoWeekday: false,
+  // 0 (Sunday) … 6 (Saturday); overrides useIsoWeekday when set
+  firstDayOfWeek: undefined,
+  numDaysInWeek: 7,
+  // dayjs locale name used for day names; the global locale when unset
+  locale: undefined,
+  // IANA time zone for "today" and minDate/maxDate; the device zone when unset
+  timeZone: undefined,
+  minDate: undefined,
+  maxDate: undefined,
+  // 'block' stops week generation at minDate/maxDate; 'disable' keeps
+  // generating weeks and only disables the out-of-bounds days
+  boundsPolicy: 'block',
+  datesBlacklist: undefined,
+  datesWhitelist: undefined,
+  // Total number of weeks in a window, the current week included. Note that
+  // CalendarStrip's `weekBuffer` prop counts the weeks on each side; the strip
+  // passes `weekBuffer * 2 + 1` here.
+  weekBuffer: 3,
+};
+
+// Options that change the shape or labels of generated weeks. Changing any of
+// them invalidates the week cache.
+const WEEK_SHAPE_OPTIONS = ['useIsoWeekday', 'firstDayOfWeek', 'numDaysInWeek', 'locale', 'timeZone'];
+
+/**
+ * Headless calendar controller
+ * Owns week generation, caching, min/max clamping and the prepared week window.
+ * Contains no React / React Native code so it can run on a server or in Jest.
+ */
+export class CalendarController {
+  /**
+   * @param {Object} options - Controller options
+   * @param {Date|dayjs.Dayjs|string} [options.initialDate] - Initially selected date
+   * @param {boolean} [options.useIsoWeekday] - Start weeks on Monday
+   * @param {number} [options.firstDayOfWeek] - First day of the week (0-6)
+   * @param {number} [options.numDaysInWeek] - Number of days per week
+   * @param {string} [options.locale] - Registered dayjs locale for day names
+   * @param {string} [options.timeZone] - IANA time zone for today, initialDate and minDate/maxDate
+   * @param {Date|dayjs.Dayjs|string} [options.minDate] - Lower bound
+   * @param {Date|dayjs.Dayjs|string} [options.maxDate] - Upper bound
+   * @param {string} [options.boundsPolicy] - 'block' or 'disable' weeks past the bounds
+   * @param {Array|Function} [options.datesBlacklist] - Dates that cannot be selected
+   * @param {Array|Function} [options.datesWhitelist] - Only these dates can be selected
+   * @param {number} [options.weekBuffer] - Total number of weeks in a window, not the
+   *   per-side count of CalendarStrip's `weekBuffer` prop
+   */
+  constructor(options = {}) {
+    this._options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+    };
+    if (!this._options.initialDate) {
+      this._options.initialDate = new Date();
+    }
+
+    this._weekCache = new Map();
+    this._listeners = new Set();
+    this._weeks = [];
+    this._currentWeekIndex = 0;
+    this._selectedDate = this.clampDate(
+      toCalendarDay(this._options.initialDate, this._options.timeZone)
+    );
+
+    this._initialize();
+  }
+
+  /**
+   * Prepare the initial week window around the selected date
+   * @private
+   */
+  _initialize() {
+    this._prepareWeeks(this._selectedDate, this._options.weekBuffer);
+  }
+
+  /**
+   * Update options after construction
+   * Clears the week cache when the week shape changes.
+   * @param {Object} options - Partial controller options
+   */
+  setOptions(options = {}) {
+    const shapeChanged = WEEK_SHAPE_OPTIONS.some(
+      key => key in options && options[key] !== this._options[key]
+    );
+    this._options = { ...this._options, ...options };
+    if (shapeChanged) {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with the controller after each change
+   * @returns {Function} Function that removes the listener
+   */
+  addListener(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners of a state change
+   * @private
+   */
+  _notify() {
+    this._listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Get the first day of the week containing a date
+   * @param {Date|dayjs.Dayjs|string} date - Any date in the week
+   * @returns {dayjs.Dayjs} Start of the week
+   */
+  getWeekStart(date) {
+    const { firstDayOfWeek, useIsoWeekday } = this._options;
+    return getWeekStartDate(dayjs(date), resolveFirstDayOfWeek(firstDayOfWeek, useIsoWeekday));
+  }
+
+  /**
+   * Generate a single day object
+   * @param {Date|dayjs.Dayjs|string} date - Date to describe
+   * @returns {Object|null} Day object, or null for invalid input
+   * @private
+   */
+  _generateDay(date) {
+    const { locale, timeZone } = this._options;
+    const d = locale ? dayjs(date).locale(locale) : dayjs(date);
+    if (!d.isValid()) {
+      return null;
+    }
+    const today = getToday(timeZone);
+    const epoch = d.valueOf();
+    const dayName = d.format('ddd');
+
+    return {
+      // store lightweight Date object (or epoch) instead of full dayjs instance
+      date: new Date(epoch),
+      epoch,
+      dateString: d.format('YYYY-MM-DD'),
+      dayName,
+      dayNameUpper: dayName.toUpperCase(),
+      dayOfWeek: d.day(),
+      dayOfMonth: d.date(),
+      month: d.month(),
+      year: d.year(),
+      isToday: d.isSame(today, 'day'),
+      isCurrentMonth: d.month() === today.month() && d.year() === today.year(),
+    };
+  }
+
+  /**
+   * Generate a week starting at the given date
+   * @param {Date|dayjs.Dayjs|string} startDate - First day of the week
+   * @returns {Object} Week object with id, startDate, endDate, weekNumber and days
+   * @private
+   */
+  _generateWeek(startDate) {
+    const { numDaysInWeek, useIsoWeekday, firstDayOfWeek, locale } = this._options;
+    const start = dayjs(startDate).startOf('day');
+    const days = [];
+
+    for (let i = 0; i < numDaysInWeek; i++) {
+      days.push(this._generateDay(start.add(i, 'day')));
+    }
+
+    return {
+      id: start.format('YYYY-MM-DD'),
+      // keep Dayjs objects to avoid implicit timezone shifts when serialized
+      startDate: start,
+      endDate: start.add(numDaysInWeek - 1, 'day'),
+      // Week of the year counted in weeks starting on firstDayOfWeek: ISO
+      // numbering with useIsoWeekday, otherwise week 1 holds the locale's
+      // yearStart (New Year's Day by default)
+      weekNumber: getWeekNumber(
+        start,
+        resolveFirstDayOfWeek(firstDayOfWeek, useIsoWeekday),
+        useIsoWeekday ? 4 : (locale && dayjs.Ls[locale] && dayjs.Ls[locale].yearStart) || 1
+      ),
+      days,
+    };
+  }
+
+  /**
+   * Retrieve a week from cache or generate and store it
+   * @param {Date|dayjs.Dayjs|string} startDate - First day of the week
+   * @returns {Object} Week object
+   */
+  getWeek(startDate) {
+    const key = dayjs(startDate).startOf('day').format('YYYY-MM-DD');
+    const cached = this._weekCache.get(key);
+    if (cached) {
+      return cached;
+    }
+    const week = this._generateWeek(startDate);
+    this._weekCache.set(key, week);
+    return week;
+  }
+
+  /**
+   * Drop every cached week
+   */
+  clearCache() {
+    this._weekCache.clear();
+  }
+
+  /**
+   * minDate/maxDate as calendar days in the configured time zone
+   * @returns {{minDate: (dayjs.Dayjs|null), maxDate: (dayjs.Dayjs|null)}} Bounds
+   * @private
+   */
+  _getBounds() {
+    const { minDate, maxDate, timeZone } = this._options;
+    return {
+      minDate: minDate ? toCalendarDay(minDate, timeZone) : null,
+      maxDate: maxDate ? toCalendarDay(maxDate, timeZone) : null,
+    };
+  }
+
+  /**
+   * Bounds that stop week generation; none under the 'disable' policy
+   * @returns {{minDate: (dayjs.Dayjs|null), maxDate: (dayjs.Dayjs|null)}} Bounds
+   * @private
+   */
+  _getScrollBounds() {
+    if (this._options.boundsPolicy === 'disable') {
+      return { minDate: null, maxDate: null };
+    }
+    return this._getBounds();
+  }
+
+  /**
+   * Check whether a date lies within minDate/maxDate
+   * @param {Date|dayjs.Dayjs|string} date - Date to check
+   * @returns {boolean} True if the date is selectable
+   */
+  isDateInBounds(date) {
+    const { minDate, maxDate } = this._getBounds();
+    const d = dayjs(date);
+    if (minDate && d.isBefore(minDate, 'day')) {
+      return false;
+    }
+    if (maxDate && d.isAfter(maxDate, 'day')) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a date is out of bounds or excluded by the
+   * blacklist/whitelist rules
+   * @param {Date|dayjs.Dayjs|string} date - Date to check
+   * @returns {boolean} True if the date cannot be selected
+   */
+  isDateDisabled(date) {
+    const { datesBlacklist, datesWhitelist } = this._options;
+    return !this.isDateInBounds(date) ||
+      !isDateAllowed(date, datesBlacklist, datesWhitelist);
+  }
+
+  /**
+   * Clamp a date into minDate/maxDate
+   * @param {Date|dayjs.Dayjs|string} date - Date to clamp
+   * @returns {dayjs.Dayjs} Clamped date
+   */
+  clampDate(date) {
+    const { minDate, maxDate } = this._getBounds();
+    const d = dayjs(date);
+    if (minDate && d.isBefore(minDate, 'day')) {
+      return minDate;
+    }
+    if (maxDate && d.isAfter(maxDate, 'day')) {
+      return maxDate;
+    }
+    return d;
+  }
+
+  /**
+   * Get up to `count` weeks preceding a week, stopping at minDate unless
+   * boundsPolicy is 'disable'
+   * @param {Date|dayjs.Dayjs|string} weekStart - Start of the reference week
+   * @param {number} count - Maximum number of weeks to return
+   * @returns {Array} Weeks in chronological order
+   */
+  getWeeksBefore(weekStart, count) {
+    const { numDaysInWeek } = this._options;
+    const { minDate } = this._getScrollBounds();
+    const weeks = [];
+    let cursor = dayjs(weekStart);
+
+    for (let i = 0; i < count; i++) {
+      const candidateStart = cursor.subtract(numDaysInWeek, 'day');
+      const candidateEnd = candidateStart.add(numDaysInWeek - 1, 'day');
+      if (minDate && candidateEnd.isBefore(minDate, 'day')) {
+        break; // stop at boundary
+      }
+      weeks.push(this.getWeek(candidateStart));
+      cursor = candidateStart;
+    }
+
+    return weeks.reverse();
+  }
+
+  /**
+   * Get up to `count` weeks following a week, stopping at maxDate unless
+   * boundsPolicy is 'disable'
+   * @param {Date|dayjs.Dayjs|string} weekStart - Start of the reference week
+   * @param {number} count - Maximum number of weeks to return
+   * @returns {Array} Weeks in chronological order
+   */
+  getWeeksAfter(weekStart, count) {
+    const { numDaysInWeek } = this._options;
+    const { maxDate } = this._getScrollBounds();
+    const weeks = [];
+    let cursor = dayjs(weekStart);
+
+    for (let i = 0; i < count; i++) {
+      const candidateStart = cursor.add(numDaysInWeek, 'day');
+      if (maxDate && candidateStart.isAfter(maxDate, 'day')) {
+        break; // boundary hit
+      }
+      weeks.push(this.getWeek(candidateStart));
+      cursor = candidateStart;
+    }
+
+    return weeks;
+  }
+
+  /**
+   * Get the weeks covering the month of a date, e.g. the 5-6 rows of a
+   * month grid. The first row starts on the week containing the 1st.
+   * @param {Date|dayjs.Dayjs|string} date - Any date in the month
+   * @returns {Array} Weeks in chronological order
+   */
+  getMonthWeeks(date) {
+    const { numDaysInWeek } = this._options;
+    const monthStart = dayjs(date).startOf('month');
+    const monthEnd = monthStart.endOf('month');
+    const weeks = [];
+    let cursor = this.getWeekStart(monthStart);
+
+    while (!cursor.isAfter(monthEnd, 'day')) {
+      weeks.push(this.getWeek(cursor));
+      cursor = cursor.add(numDaysInWeek, 'day');
+    }
+
+    return weeks;
+  }
+
+  /**
+   * Build a window of weeks centred on a date, without touching the prepared
+   * weeks. The date is clamped into minDate/maxDate and the window stops at
+   * the bounds like getWeeksBefore/getWeeksAfter.
+   * @param {Date|dayjs.Dayjs|string} centerDate - Date in the centre week
+   * @param {number} [count] - Total number of weeks; defaults to `weekBuffer`
+   * @returns {{weeks: Array, centerIndex: number}} Weeks in chronological
+   *   order and the index of the week containing the (clamped) date
+   */
+  getWeekWindow(centerDate, count = this._options.weekBuffer) {
+    const total = Math.max(1, count);
+    const before = Math.floor((total - 1) / 2);
+    const after = total - 1 - before;
+    const centerStart = this.getWeekStart(this.clampDate(centerDate));
+
+    const previous = this.getWeeksBefore(centerStart, before);
+    const next = this.getWeeksAfter(centerStart, after);
+
+    return {
+      weeks: [...previous, this.getWeek(centerStart), ...next],
+      centerIndex: previous.length,
+    };
+  }
+
+  /**
+   * Replace the prepared weeks with a window centred on a date
+   * @param {Date|dayjs.Dayjs|string} centerDate - Date in the centre week
+   * @param {number} count - Total number of weeks in the window
+   * @private
+   */
+  _prepareWeeks(centerDate, count) {
+    const { weeks, centerIndex } = this.getWeekWindow(centerDate, count);
+    this._weeks = weeks;
+    this._currentWeekIndex = centerIndex;
+  }
+
+  /**
+   * Extend the prepared weeks so the visible range is loaded
+   * New weeks are only added contiguously and never past minDate/maxDate.
+   * @param {Date|dayjs.Dayjs|string} startDate - First visible date
+   * @param {Date|dayjs.Dayjs|string} endDate - Last visible date
+   */
+  updateVisibleDates(startDate, endDate) {
+    const start = dayjs(startDate);
+    const end = dayjs(endDate);
+    if (!start.isValid() || !end.isValid()) {
+      return;
+    }
+    const { numDaysInWeek } = this._options;
+
+    if (this._weeks.length === 0) {
+      this._prepareWeeks(start, this._options.weekBuffer);
+    }
+
+    const first = this._weeks[0];
+    if (start.isBefore(first.startDate, 'day')) {
+      const missing = Math.ceil(first.startDate.diff(start, 'day') / numDaysInWeek);
+      const added = this.getWeeksBefore(first.startDate, missing);
+      this._weeks = [...added, ...this._weeks];
+      this._currentWeekIndex += added.length;
+    }
+
+    const last = this._weeks[this._weeks.length - 1];
+    if (end.isAfter(last.endDate, 'day')) {
+      const missing = Math.ceil(end.diff(last.endDate, 'day') / numDaysInWeek);
+      this._weeks = [...this._weeks, ...this.getWeeksAfter(last.startDate, missing)];
+    }
+
+    const visibleIndex = this.findWeekIndexByDate(start);
+    if (visibleIndex !== -1) {
+      this._currentWeekIndex = visibleIndex;
+    }
+
+    this._notify();
+  }
+
+  /**
+   * Find the prepared week containing a date
+   * @param {Date|dayjs.Dayjs|string} date - Date to look up
+   * @returns {number} Index into getWeeks(), or -1 if not prepared
+   */
+  findWeekIndexByDate(date) {
+    const d = dayjs(date);
+    return this._weeks.findIndex(week =>
+      d.isBetween(week.startDate, week.endDate, 'day', '[]')
+    );
+  }
+
+  /**
+   * @returns {Array} Prepared weeks in chronological order
+   */
+  getWeeks() {
+    return this._weeks;
+  }
+
+  /**
+   * @returns {Object|null} Current week object
+   */
+  getCurrentWeek() {
+    return this._weeks[this._currentWeekIndex] || null;
+  }
+
+  /**
+   * @returns {number} Index of the current week in getWeeks()
+   */
+  getCurrentWeekIndex() {
+    return this._currentWeekIndex;
+  }
+
+  /**
+   * Move to the next week, loading it if needed
+   * @returns {boolean} False when maxDate prevents navigation
+   */
+  goToNextWeek() {
+    if (this._currentWeekIndex + 1 >= this._weeks.length) {
+      const last = this._weeks[this._weeks.length - 1];
+      const added = last ? this.getWeeksAfter(last.startDate, 1) : [];
+      if (added.length === 0) {
+        return false;
+      }
+      this._weeks = [...this._weeks, ...added];
+    }
+    this._currentWeekIndex += 1;
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Move to the previous week, loading it if needed
+   * @returns {boolean} False when minDate prevents navigation
+   */
+  goToPreviousWeek() {
+    if (this._currentWeekIndex === 0) {
+      const first = this._weeks[0];
+      const added = first ? this.getWeeksBefore(first.startDate, 1) : [];
+      if (added.length === 0) {
+        return false;
+      }
+      this._weeks = [...added, ...this._weeks];
+      this._currentWeekIndex += added.length;
+    }
+    this._currentWeekIndex -= 1;
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Select a date
+   * @param {Date|dayjs.Dayjs|string} date - Date to select
+   * @returns {boolean} False if the date is invalid or disabled
+   */
+  selectDate(date) {
+    const d = dayjs(date);
+    if (!d.isValid() || this.isDateDisabled(d)) {
+      return false;
+    }
+    this._selectedDate = d;
+
+    const index = this.findWeekIndexByDate(d);
+    if (index !== -1) {
+      this._currentWeekIndex = index;
+    }
+
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Rebuild the week window around a date and select it
+   * @param {Date|dayjs.Dayjs|string} date - Target date
+   */
+  jumpToDate(date) {
+    const d = dayjs(date);
+    if (!d.isValid()) {
+      return;
+    }
+    this._prepareWeeks(d, this._options.weekBuffer);
+    this.selectDate(this.clampDate(d));
+  }
+
+  /**
+   * @returns {dayjs.Dayjs} Selected date
+   */
+  getSelectedDate() {
+    return this._selectedDate;
+  }
+
+  /**
+   * @returns {Date} Selected date as a native Date object
+   */
+  getSelectedDateNative() {
+    return this._selectedDate.toDate();
+  }
+}
+
+export default CalendarController;
@@ -6,12 +6,20 @@ import updateLocale from 'dayjs/plugin/updateLocale';
 import advancedFormat from 'dayjs/plugin/advancedFormat';
 import weekday from 'dayjs/plugin/weekday';
 import isoWeek from 'dayjs/plugin/isoWeek';
+import localizedFormat from 'dayjs/plugin/localizedFormat';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import weekOfYear from 'dayjs/plugin/weekOfYear';
 
 dayjs.extend(isBetween);
 dayjs.extend(updateLocale);
 dayjs.extend(advancedFormat);
 dayjs.extend(weekday);
 dayjs.extend(isoWeek);
+dayjs.extend(localizedFormat);
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(weekOfYear);
 
 // Attempt to load a locale in React-Native (Metro bundler doesn't support dynamic requires).
 // Maintain a small static map for commonly used locales. Extend this list as needed.
@@ -20,29 +28,68 @@ const localeLoaders = {
   en: () => require('dayjs/locale/en'),
   ja: () => require('dayjs/locale/ja'),
   zh: () => require('dayjs/locale/zh'),
+  'zh-cn': () => require('dayjs/locale/zh-cn'),
+  'zh-tw': () => require('dayjs/locale/zh-tw'),
+  de: () => require('dayjs/locale/de'),
+  es: () => require('dayjs/locale/es'),
+  fr: () => require('dayjs/locale/fr'),
+  it: () => require('dayjs/locale/it'),
+  pt: () => require('dayjs/locale/pt'),
+  'pt-br': () => require('dayjs/locale/pt-br'),
+  ru: () => require('dayjs/locale/ru'),
+  vi: () => require('dayjs/locale/vi'),
 };
 
+// Normalise: e.g. 'ko_KR' -> 'ko-kr'
+const normaliseLocaleName = (name) => String(name).toLowerCase().replace(/_/g, '-');
+
+/**
+ * Register a locale object with dayjs without making it the global locale.
+ * Lets apps use locales that are not in `localeLoaders` without editing the library.
+ * @param {string} name - Locale name (ex. 'fr')
+ * @param {Object} config - dayjs locale object (moment style `longDateFormat` is accepted)
+ * @returns {string|null} Registered locale name, or null when nothing was registered
+ */
+export const registerLocale = (name, config) => {
+  if (!name || !config || typeof config !== 'object') {
+    if (__DEV__) console.warn('registerLocale expects a locale name and a locale object.');
+    return null;
+  }
+  const key = normaliseLocaleName(name);
+  const formats = config.formats || config.longDateFormat;
+  dayjs.locale({ ...config, name: key, ...(formats ? { formats } : {}) }, null, true);
+  return key;
+};
+
+/**
+ * Make a locale available to dayjs.
+ * Accepts a locale name ('ko', 'ko-KR') or a `{ name, config }` object which
+ * is registered through `registerLocale`. Locales already known to dayjs
+ * (registered by the app or imported from 'dayjs/locale/*') are used as is.
+ * @param {string|{name: string, config: Object}} name - Locale to load
+ * @returns {string|null} Name to pass to `dayjs().locale()`, or null if unavailable
+ */
 export const loadLocale = (name) => {
-  if (!name) return;
-  // Normalise: e.g. 'ko-KR' -> 'ko'
-  const key = String(name).toLowerCase().split(/[-_]/)[0];
+  if (!name) return null;
+  if (typeof name === 'object') {
+    return registerLocale(name.name, name.config);
+  }
+  const full = normaliseLocaleName(name);
+  if (dayjs.Ls[full]) return full;
+  const key = localeLoaders[full] ? full : full.split('-')[0];
+  if (dayjs.Ls[key]) return key;
   const loader = localeLoaders[key];
   if (loader) {
     try {
       loader();
-      // Override locale week start to Sunday (dow:0) so that non-ISO weeks
-      // are consistent regardless of locale (e.g., Korean locale defaults to Monday).
-      try {
-        dayjs.updateLocale(key, { week: { dow: 0 } });
-      } catch (e) {
-        /* ignore */
-      }
+      return dayjs.Ls[key] ? key : null;
     } catch (err) {
       if (__DEV__) console.warn(`Failed to load dayjs locale '${key}': ${err.message}`);
     }
   } else if (__DEV__) {
     console.warn(`dayjs locale '${key}' is not registered in localeLoaders map.`);
   }
+  return null;
 };
 
 export const startOfISOWeek = (date) => date.startOf('isoWeek').startOf('day');
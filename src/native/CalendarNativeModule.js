@@ -1,6 +1,9 @@
 import { NativeModules } from 'react-native';
 import dayjs from 'dayjs';
 import isoWeek from 'dayjs/plugin/isoWeek';
+import { getWeekStartDate, resolveFirstDayOfWeek } from '../utils/weekStart';
+import { toCalendarDay } from '../utils/timeZone';
+import { normalizeDate, toDayjs } from '../utils/dateInput';
 
 // Initialize dayjs plugins
 dayjs.extend(isoWeek);
@@ -36,9 +39,13 @@ class CalendarNativeModule {
 
     try {
       return await this._nativeModule.initialize({
-        startDate: options.startDate?.toISOString(),
+        startDate: options.startDate != null
+          ? toDayjs(options.startDate, 'startDate').toISOString()
+          : undefined,
         useIsoWeek: options.useIsoWeek || false,
         weekLength: options.numDaysInWeek || 7,
+        // IANA zone used for day boundaries and "today"; device zone when omitted
+        timeZone: options.timeZone,
       });
     } catch (error) {
       // Silently fail and continue with JS implementation
@@ -48,22 +55,24 @@ class CalendarNativeModule {
 
   /**
    * Calculate week data for a reference date
-   * @param {dayjs.Dayjs} referenceDate - Reference date
+   * @param {dayjs.Dayjs|Date|string|number} referenceDate - Reference date
    * @param {Object} options - Calendar configuration options
    * @returns {Promise<Object>} Promise resolving to week data
    */
   async calculateWeekData(referenceDate, options = {}) {
+    referenceDate = normalizeDate(referenceDate, 'referenceDate', new Date());
     if (!this._hasNativeModule) {
       return this._fallbackCalcWeekData(referenceDate, options);
     }
     
-    const isoDateString = referenceDate.toISOString();
+    const isoDateString = toDayjs(referenceDate).toISOString();
     
     try {
       return await this._nativeModule.calculateWeekData(isoDateString, {
         useIsoWeek: options.useIsoWeek || false,
-        weekStartsOn: options.weekStartsOn || 0,
+        weekStartsOn: resolveFirstDayOfWeek(options.weekStartsOn, options.useIsoWeek),
         weekLength: options.numDaysInWeek || 7,
+        timeZone: options.timeZone,
       });
     } catch (error) {
       // Fallback to JS implementation
@@ -75,29 +84,35 @@ class CalendarNativeModule {
    * Get the week start date for a given date
    * @param {string} isoDateString - ISO date string
    * @param {boolean} useIsoWeek - Use ISO week definition (Monday as first day)
+   * @param {number} [weekStartsOn] - First day of the week (0-6), overrides useIsoWeek
    * @returns {Promise<string>} Promise resolving to ISO date string of week start
    */
-  async getWeekStart(isoDateString, useIsoWeek) {
-    if (!this._hasNativeModule) {
-      return this._fallbackGetWeekStart(isoDateString, useIsoWeek);
+  async getWeekStart(isoDateString, useIsoWeek, weekStartsOn) {
+    isoDateString = toDayjs(isoDateString, 'isoDateString').toISOString();
+    // The native implementation only knows Sunday/ISO Monday weeks
+    if (!this._hasNativeModule || weekStartsOn !== undefined) {
+      return this._fallbackGetWeekStart(isoDateString, useIsoWeek, weekStartsOn);
     }
     
     try {
       return await this._nativeModule.getWeekStart(isoDateString, useIsoWeek);
     } catch (error) {
       // Fallback to JS implementation
-      return this._fallbackGetWeekStart(isoDateString, useIsoWeek);
+      return this._fallbackGetWeekStart(isoDateString, useIsoWeek, weekStartsOn);
     }
   }
 
   /**
    * Check if a date is within a range
-   * @param {dayjs.Dayjs} date - Date to check
-   * @param {dayjs.Dayjs} startDate - Start date of the range
-   * @param {dayjs.Dayjs} endDate - End date of the range
+   * @param {dayjs.Dayjs|Date|string|number} date - Date to check
+   * @param {dayjs.Dayjs|Date|string|number} startDate - Start date of the range
+   * @param {dayjs.Dayjs|Date|string|number} endDate - End date of the range
    * @returns {Promise<boolean>} Promise resolving to true if date is within range
    */
   async isDateInRange(date, startDate, endDate) {
+    date = toDayjs(date, 'date');
+    startDate = toDayjs(startDate, 'startDate');
+    endDate = toDayjs(endDate, 'endDate');
     if (!this._hasNativeModule) {
       return this._fallbackIsDateInRange(date, startDate, endDate);
     }
@@ -116,18 +131,21 @@ class CalendarNativeModule {
 
   /**
    * Generate a range of dates starting from a specific date
-   * @param {dayjs.Dayjs} startDate - Start date of the range
-   * @param {dayjs.Dayjs} endDate - End date of the range
+   * @param {dayjs.Dayjs|Date|string|number} startDate - Start date of the range
+   * @param {dayjs.Dayjs|Date|string|number} endDate - End date of the range
    * @param {Object} options - Options for date generation
    * @returns {Promise<Array>} Promise resolving to array of day objects
    */
   async generateDatesInRange(startDate, endDate, options = {}) {
+    startDate = normalizeDate(startDate, 'startDate', new Date());
+    endDate = normalizeDate(endDate, 'endDate', startDate);
     if (!this._hasNativeModule) {
       return this._fallbackGenerateDatesInRange(startDate, endDate, options);
     }
     
-    const startIsoDate = startDate.toISOString();
-    const dayCount = endDate.diff(startDate, 'day') + 1;
+    const start = toDayjs(startDate);
+    const startIsoDate = start.toISOString();
+    const dayCount = toDayjs(endDate).diff(start, 'day') + 1;
     
     try {
       return await this._nativeModule.generateDatesRange(startIsoDate, dayCount);
@@ -145,19 +163,12 @@ class CalendarNativeModule {
    * @private
    */
   _fallbackCalcWeekData(referenceDate, options = {}) {
-    const useIsoWeek = options.useIsoWeek || false;
-    const weekStartsOn = options.weekStartsOn || (useIsoWeek ? 1 : 0); // ISO week starts on Monday (1)
+    // ISO weeks start on Monday (1) unless weekStartsOn is given
+    const weekStartsOn = resolveFirstDayOfWeek(options.weekStartsOn, options.useIsoWeek);
     const numDaysInWeek = options.numDaysInWeek || 7;
     
-    // Calculate week start date
-    let weekStart;
-    if (useIsoWeek) {
-      weekStart = referenceDate.startOf('isoWeek');
-    } else {
-      const day = referenceDate.day();
-      const diff = (day < weekStartsOn ? 7 : 0) + day - weekStartsOn;
-      weekStart = referenceDate.subtract(diff, 'day').startOf('day');
-    }
+    // Calculate week start date from the reference day in the requested zone
+    const weekStart = getWeekStartDate(toCalendarDay(referenceDate, options.timeZone), weekStartsOn);
     
     // Generate days in the week
     const days = [];
@@ -186,16 +197,13 @@ class CalendarNativeModule {
    * JS fallback implementation for getting week start
    * @param {string} isoDateString - ISO date string
    * @param {boolean} useIsoWeek - Use ISO week definition
+   * @param {number} [weekStartsOn] - First day of the week (0-6)
    * @returns {string} ISO date string of week start
    * @private
    */
-  _fallbackGetWeekStart(isoDateString, useIsoWeek) {
+  _fallbackGetWeekStart(isoDateString, useIsoWeek, weekStartsOn) {
     const date = dayjs(isoDateString);
-    if (useIsoWeek) {
-      return date.startOf('isoWeek').toISOString();
-    } else {
-      return date.startOf('week').toISOString();
-    }
+    return getWeekStartDate(date, resolveFirstDayOfWeek(weekStartsOn, useIsoWeek)).toISOString();
   }
 
   /**
@@ -221,10 +229,11 @@ class CalendarNativeModule {
    */
   _fallbackGenerateDatesInRange(startDate, endDate, options = {}) {
     const days = [];
-    const dayCount = endDate.diff(startDate, 'day') + 1;
+    const first = toCalendarDay(startDate, options.timeZone);
+    const dayCount = toCalendarDay(endDate, options.timeZone).diff(first, 'day') + 1;
     
     for (let i = 0; i < dayCount; i++) {
-      const date = startDate.add(i, 'day');
+      const date = first.add(i, 'day');
       days.push({
         date: date,
         dateString: date.format('YYYY-MM-DD'),
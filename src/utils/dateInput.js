@@ -0,0 +1,59 @@
+import dayjs from '../dayjs';
+import logger from './logger';
+
+// 'YYYY-MM-DD', optionally followed by a time and a UTC offset
+const ISO_DATE = /^(\d{4}-\d{2}-\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Whether a value is a usable date: a valid Date or Dayjs, a finite epoch
+ * in milliseconds, or an ISO 8601 string naming a real calendar day
+ * @param {*} value - Value to check
+ * @returns {boolean} True when the value can be used as a date
+ */
+export function isValidDateInput(value) {
+  if (dayjs.isDayjs(value)) {
+    return value.isValid();
+  }
+  if (value instanceof Date) {
+    return !Number.isNaN(value.getTime());
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value);
+  }
+  if (typeof value === 'string') {
+    const match = ISO_DATE.exec(value);
+    // dayjs rolls '2025-02-30' over into March, so the day must round-trip
+    return !!match && dayjs(match[1]).format('YYYY-MM-DD') === match[1];
+  }
+  return false;
+}
+
+/**
+ * Validate a date prop or argument. Usable input is returned unchanged, so
+ * 'YYYY-MM-DD' strings keep naming the same day in every time zone.
+ * Invalid input logs a warning and yields `fallback`.
+ * @param {*} value - Date, Dayjs, epoch milliseconds or ISO 8601 string
+ * @param {string} name - Name used in the warning
+ * @param {*} [fallback] - Returned for missing or invalid input
+ * @returns {Date|dayjs.Dayjs|string|number|*} The input or `fallback`
+ */
+export function normalizeDate(value, name, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!isValidDateInput(value)) {
+    logger.debug(`[WARN] Invalid date for ${name}: ${String(value)}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Dayjs for a date input; missing or invalid input falls back to now
+ * @param {*} value - Date, Dayjs, epoch milliseconds or ISO 8601 string
+ * @param {string} name - Name used in the warning
+ * @returns {dayjs.Dayjs} Parsed date
+ */
+export function toDayjs(value, name) {
+  return dayjs(normalizeDate(value, name, new Date()));
+}
@@ -0,0 +1,83 @@
+import dayjs from '../dayjs';
+
+/**
+ * Check a date against blacklist/whitelist rules.
+ * Each list accepts an array of dates or `{ start, end }` ranges, or a
+ * predicate receiving the date as a Dayjs object.
+ * Blacklist entries override the whitelist.
+ * @param {Date|dayjs.Dayjs|string} date - Date to check
+ * @param {Array|Function} [datesBlacklist] - Disallowed dates
+ * @param {Array|Function} [datesWhitelist] - Allowed dates
+ * @returns {boolean} True if the date is allowed
+ */
+export function isDateAllowed(date, datesBlacklist, datesWhitelist) {
+  const d = dayjs(date);
+
+  if (Array.isArray(datesBlacklist)) {
+    for (const disallowed of datesBlacklist) {
+      // Blacklist start/end object
+      if (disallowed && disallowed.start && disallowed.end) {
+        if (d.isBetween(disallowed.start, disallowed.end, 'day', '[]')) {
+          return false;
+        }
+      } else if (d.isSame(disallowed, 'day')) {
+        return false;
+      }
+    }
+  } else if (datesBlacklist instanceof Function && datesBlacklist(d)) {
+    return false;
+  }
+
+  if (Array.isArray(datesWhitelist)) {
+    for (const allowed of datesWhitelist) {
+      // start/end object
+      if (allowed && allowed.start && allowed.end) {
+        if (d.isBetween(allowed.start, allowed.end, 'day', '[]')) {
+          return true;
+        }
+      } else if (d.isSame(allowed, 'day')) {
+        return true;
+      }
+    }
+    return false;
+  } else if (datesWhitelist instanceof Function) {
+    return !!datesWhitelist(d);
+  }
+
+  return true;
+}
+
+/**
+ * Find the custom style entry that applies to a date.
+ * `customDatesStyles` is either an array of
+ * `{ startDate, endDate?, dateContainerStyle, dateNameStyle, dateNumberStyle, ... }`
+ * entries (a single day when `endDate` is omitted) or a function receiving
+ * the date as a Dayjs object and returning such an entry.
+ * @param {Date|dayjs.Dayjs|string} date - Date to style
+ * @param {Array|Function} [customDatesStyles] - Style rules
+ * @returns {Object|undefined} Matching style entry
+ */
+export function getCustomDateStyle(date, customDatesStyles) {
+  const d = dayjs(date);
+
+  if (Array.isArray(customDatesStyles)) {
+    for (const customDateStyle of customDatesStyles) {
+      if (!customDateStyle) {
+        continue;
+      }
+      if (customDateStyle.endDate) {
+        // Range
+        if (d.isBetween(customDateStyle.startDate, customDateStyle.endDate, 'day', '[]')) {
+          return customDateStyle;
+        }
+      } else if (d.isSame(customDateStyle.startDate, 'day')) {
+        // Single date
+        return customDateStyle;
+      }
+    }
+  } else if (customDatesStyles instanceof Function) {
+    return customDatesStyles(d);
+  }
+
+  return undefined;
+}
@@ -0,0 +1,69 @@
+import dayjs from '../dayjs';
+import { toCalendarDay } from './timeZone';
+
+const DATE_KEY_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Key used to look up the marking of a date
+ * @param {Date|dayjs.Dayjs|string} date - Date to key
+ * @param {string} [timeZone] - Time zone the date is read in
+ * @returns {string|null} YYYY-MM-DD key, or null for invalid dates
+ */
+export function toDateKey(date, timeZone) {
+  const d = toCalendarDay(date, timeZone);
+  return d.isValid() ? d.format(DATE_KEY_FORMAT) : null;
+}
+
+/**
+ * Build a YYYY-MM-DD keyed index of markings so each day can look up its
+ * own marking in constant time.
+ *
+ * Accepts either
+ * - an array of raw dates (string/Date/Dayjs) or `{ date, dots, lines, ... }`
+ *   objects (the first entry for a day wins), or
+ * - an object map keyed by date string: `{ '2025-01-08': { dots: [...] } }`.
+ *   A `true` value marks the day with the default dot; object values get
+ *   their `date` filled in from the key.
+ *
+ * @param {Array|Object} [markedDates] - Markings in either form
+ * @param {string} [timeZone] - Time zone dates are read in
+ * @returns {Map<string, *>} Marking per date key
+ */
+export function buildMarkedDatesIndex(markedDates, timeZone) {
+  const index = new Map();
+  if (!markedDates) {
+    return index;
+  }
+
+  if (Array.isArray(markedDates)) {
+    for (const marking of markedDates) {
+      let date;
+      if (typeof marking === 'string' || marking instanceof Date || dayjs.isDayjs(marking)) {
+        date = marking;
+      } else if (marking && 'date' in marking) {
+        date = marking.date;
+      }
+      const key = date ? toDateKey(date, timeZone) : null;
+      if (key && !index.has(key)) {
+        index.set(key, marking);
+      }
+    }
+    return index;
+  }
+
+  if (typeof markedDates === 'object') {
+    Object.keys(markedDates).forEach(dateString => {
+      const marking = markedDates[dateString];
+      const key = toDateKey(dateString);
+      if (!key || !marking) {
+        return;
+      }
+      index.set(
+        key,
+        typeof marking === 'object' ? { date: dateString, ...marking } : dateString
+      );
+    });
+  }
+
+  return index;
+}
@@ -0,0 +1,63 @@
+import dayjs from '../dayjs';
+import logger from './logger';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate an IANA time zone name
+ * @param {string} [timeZone] - Time zone such as 'Asia/Seoul'
+ * @returns {string|undefined} The time zone, or undefined when unset or unknown
+ */
+export function resolveTimeZone(timeZone) {
+  if (!timeZone) {
+    return undefined;
+  }
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    logger.debug(`[WARN] Unknown timeZone '${timeZone}', using the device time zone`);
+    return undefined;
+  }
+}
+
+/**
+ * Calendar day of a date as seen in `timeZone`.
+ * Days are handled internally as device-local midnights; this maps instants
+ * coming from outside onto them. Date-only 'YYYY-MM-DD' strings already name
+ * a day and are never shifted.
+ * @param {Date|dayjs.Dayjs|string|number} date - Date to convert
+ * @param {string} [timeZone] - IANA time zone; the device zone when unset
+ * @returns {dayjs.Dayjs} Local midnight of the day
+ */
+export function toCalendarDay(date, timeZone) {
+  if (typeof date === 'string' && DATE_ONLY.test(date)) {
+    return dayjs(date);
+  }
+  const d = dayjs(date);
+  if (!timeZone || !d.isValid()) {
+    return d;
+  }
+  return dayjs(d.tz(timeZone).format('YYYY-MM-DD'));
+}
+
+/**
+ * Today's calendar day in `timeZone`
+ * @param {string} [timeZone] - IANA time zone; the device zone when unset
+ * @returns {dayjs.Dayjs} Today
+ */
+export function getToday(timeZone) {
+  return toCalendarDay(new Date(), timeZone);
+}
+
+/**
+ * Start of a calendar day in `timeZone`, the inverse of `toCalendarDay`.
+ * Used for dates handed to callbacks.
+ * @param {Date|dayjs.Dayjs} day - Local midnight of the day
+ * @param {string} [timeZone] - IANA time zone; the device zone when unset
+ * @returns {dayjs.Dayjs} Midnight of the day in `timeZone`
+ */
+export function fromCalendarDay(day, timeZone) {
+  const d = dayjs(day);
+  return timeZone ? dayjs.tz(d.format('YYYY-MM-DD'), timeZone) : d;
+}
@@ -0,0 +1,42 @@
+/**
+ * Resolve the first day of the week (0 = Sunday … 6 = Saturday).
+ * An explicit `firstDayOfWeek` wins; otherwise ISO weeks start on Monday and
+ * regular weeks on Sunday.
+ * @param {number} [firstDayOfWeek] - Explicit first day of the week
+ * @param {boolean} [useIsoWeekday] - Start weeks on Monday
+ * @returns {number} Day index 0-6
+ */
+export function resolveFirstDayOfWeek(firstDayOfWeek, useIsoWeekday) {
+  if (Number.isInteger(firstDayOfWeek) && firstDayOfWeek >= 0 && firstDayOfWeek <= 6) {
+    return firstDayOfWeek;
+  }
+  return useIsoWeekday ? 1 : 0;
+}
+
+/**
+ * Start of the week containing a date. Computed from the day index rather
+ * than `startOf('week')`, so it does not depend on the active dayjs locale.
+ * @param {dayjs.Dayjs} date - Any date in the week
+ * @param {number} firstDayOfWeek - Day index 0-6 the week starts on
+ * @returns {dayjs.Dayjs} Start of the week
+ */
+export function getWeekStartDate(date, firstDayOfWeek) {
+  const diff = (date.day() - firstDayOfWeek + 7) % 7;
+  return date.subtract(diff, 'day').startOf('day');
+}
+
+/**
+ * Week of the year of the week containing a date. Week 1 is the week holding
+ * January `yearStart`: 1 numbers from the week with New Year's Day, 4 gives
+ * ISO 8601 numbering for Monday weeks. Like `getWeekStartDate`, the result
+ * does not depend on the active dayjs locale.
+ * @param {dayjs.Dayjs} date - Any date in the week
+ * @param {number} firstDayOfWeek - Day index 0-6 the week starts on
+ * @param {number} [yearStart=1] - Day of January that is always in week 1
+ * @returns {number} Week number 1-53
+ */
+export function getWeekNumber(date, firstDayOfWeek, yearStart = 1) {
+  // The week belongs to the year of its day at `7 - yearStart`
+  const reference = getWeekStartDate(date, firstDayOfWeek).add(7 - yearStart, 'day');
+  return Math.floor(reference.diff(reference.startOf('year'), 'day') / 7) + 1;
+}